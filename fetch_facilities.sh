@@ -25,6 +25,9 @@ read -r -d '' QUERY << 'OVERPASS'
   node["amenity"="hospital"](41.7,-95.2,56.9,-74.3);
   way["amenity"="hospital"](41.7,-95.2,56.9,-74.3);
   relation["amenity"="hospital"](41.7,-95.2,56.9,-74.3);
+
+  // Public access defibrillators
+  node["emergency"="defibrillator"](41.7,-95.2,56.9,-74.3);
 );
 out center;
 OVERPASS
@@ -46,11 +49,15 @@ try:
     with open('/tmp/overpass_result.json', 'r') as f:
         data = json.load(f)
     
-    # Convert to GeoJSON
+    # Convert to GeoJSON (AEDs are written to their own file)
     geojson = {
         "type": "FeatureCollection",
         "features": []
     }
+    aeds = {
+        "type": "FeatureCollection",
+        "features": []
+    }
     
     for element in data.get('elements', []):
         # Get coordinates
@@ -61,9 +68,36 @@ try:
         else:
             continue
         
+        tags = element.get('tags', {})
+
+        # Public AEDs
+        if tags.get('emergency') == 'defibrillator':
+            # Skip units the public cannot use
+            if tags.get('access') in ('private', 'no'):
+                continue
+            hours = tags.get('opening_hours')
+            properties = {
+                "type": "aed",
+                "name": tags.get('defibrillator:location') or tags.get('name', 'Public AED'),
+                "id": element.get('id'),
+                "indoor": tags.get('indoor') == 'yes',
+                "available_24_7": hours == '24/7'
+            }
+            if hours and hours != '24/7':
+                properties['access_hours'] = hours
+            aeds['features'].append({
+                "type": "Feature",
+                "geometry": {
+                    "type": "Point",
+                    "coordinates": [lon, lat]
+                },
+                "properties": properties
+            })
+            continue
+
         # Get amenity type
-        amenity = element.get('tags', {}).get('amenity', 'unknown')
-        name = element.get('tags', {}).get('name', 'Unnamed Facility')
+        amenity = tags.get('amenity', 'unknown')
+        name = tags.get('name', 'Unnamed Facility')
         
         # Create feature
         feature = {
@@ -79,8 +113,11 @@ try:
             }
         }
         
+        # Hospital capabilities OSM records (24/7 PCI is not tagged; see AppConfig.hospitals.cardiacCentres)
+        if amenity == 'hospital' and tags.get('emergency') in ('yes', 'no'):
+            feature['properties']['emergency_department'] = tags['emergency'] == 'yes'
+
         # Add address if available
-        tags = element.get('tags', {})
         if 'addr:street' in tags or 'addr:city' in tags:
             address_parts = []
             if 'addr:housenumber' in tags:
@@ -104,13 +141,18 @@ try:
     print(f"  Ambulance stations: {sum(1 for f in geojson['features'] if f['properties']['type'] == 'ambulance_station')}")
     print(f"  Hospitals: {sum(1 for f in geojson['features'] if f['properties']['type'] == 'hospital')}")
 
+    with open('data/ontario-aeds.geojson', 'w') as f:
+        json.dump(aeds, f, indent=2)
+
+    print(f"Successfully converted {len(aeds['features'])} public AEDs to GeoJSON")
+
 except Exception as e:
     print(f"Error: {e}", file=sys.stderr)
     sys.exit(1)
 PYTHON
 
 if [ $? -eq 0 ]; then
-    echo "Facility data successfully saved to data/ontario-facilities.geojson"
+    echo "Facility data successfully saved to data/ontario-facilities.geojson and data/ontario-aeds.geojson"
     rm /tmp/overpass_result.json
 else
     echo "Error processing facility data"
@@ -0,0 +1,91 @@
+#!/bin/bash
+# Fetch marinas and boat launches from OpenStreetMap Overpass API for WaterAccess
+
+echo "Fetching marinas and boat launches from OpenStreetMap..."
+
+# Overpass API endpoint
+OVERPASS_URL="https://overpass-api.de/api/interpreter"
+
+# Cottage country by default (Muskoka, Haliburton, Kawarthas, Parry Sound); pass
+# "south,west,north,east" to use another area
+BBOX="${1:-44.0,-81.0,46.0,-77.5}"
+
+# Marinas, slipways and public wharves a responder boat can launch from
+read -r -d '' QUERY << OVERPASS
+[out:json][timeout:180];
+(
+  node["leisure"="marina"](${BBOX});
+  way["leisure"="marina"](${BBOX});
+  node["leisure"="slipway"](${BBOX});
+  way["leisure"="slipway"](${BBOX});
+  node["man_made"="pier"]["mooring"~"^(yes|public)$"](${BBOX});
+);
+out center;
+OVERPASS
+
+# Fetch data
+echo "Downloading data from Overpass API..."
+curl -X POST "$OVERPASS_URL" \
+  -H "Content-Type: application/x-www-form-urlencoded" \
+  --data-urlencode "data=$QUERY" \
+  -o /tmp/overpass_marinas.json
+
+# Convert to GeoJSON points
+echo "Converting to GeoJSON format..."
+python3 << 'PYTHON'
+import json
+import sys
+
+try:
+    with open('/tmp/overpass_marinas.json', 'r') as f:
+        data = json.load(f)
+
+    features = []
+    for element in data.get('elements', []):
+        if 'lat' in element and 'lon' in element:
+            lat, lon = element['lat'], element['lon']
+        elif 'center' in element:
+            lat, lon = element['center']['lat'], element['center']['lon']
+        else:
+            continue
+
+        tags = element.get('tags', {})
+        # Private launches can't be counted on in an emergency
+        if tags.get('access') in ('private', 'no'):
+            continue
+
+        default_name = 'Marina' if tags.get('leisure') == 'marina' else 'Boat launch'
+        features.append({
+            "type": "Feature",
+            "geometry": {
+                "type": "Point",
+                "coordinates": [lon, lat]
+            },
+            "properties": {
+                "name": tags.get('name', default_name),
+                "kind": tags.get('leisure') or tags.get('man_made'),
+                "id": element.get('id')
+            }
+        })
+
+    with open('data/marinas.geojson', 'w') as f:
+        json.dump({
+            "type": "FeatureCollection",
+            "source": "OpenStreetMap contributors (ODbL), via the Overpass API",
+            "features": features
+        }, f, indent=1)
+
+    print(f"Successfully saved {len(features)} marinas and boat launches")
+
+except Exception as e:
+    print(f"Error: {e}", file=sys.stderr)
+    sys.exit(1)
+PYTHON
+
+if [ $? -eq 0 ]; then
+    echo "Boat launches successfully saved to data/marinas.geojson"
+    rm /tmp/overpass_marinas.json
+else
+    echo "Error processing marina data"
+    exit 1
+fi
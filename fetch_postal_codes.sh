@@ -0,0 +1,55 @@
+#!/bin/bash
+# Fetch Canadian postal code area (FSA) centroids from GeoNames for offline geocoding
+
+echo "Fetching Canadian FSA centroids from GeoNames..."
+
+# GeoNames postal code dump for Canada (first three characters only, CC BY 4.0)
+GEONAMES_URL="https://download.geonames.org/export/zip/CA.zip"
+
+echo "Downloading data from GeoNames..."
+curl -L "$GEONAMES_URL" -o /tmp/geonames_ca.zip
+
+# Convert to the lookup table read by GeocodingService
+echo "Converting to JSON..."
+python3 << 'PYTHON'
+import json
+import sys
+import zipfile
+
+try:
+    with zipfile.ZipFile('/tmp/geonames_ca.zip') as archive:
+        lines = archive.read('CA.txt').decode('utf-8').splitlines()
+
+    table = {}
+    for line in lines:
+        # country, postal code, place, province, province code, ..., latitude, longitude, accuracy
+        fields = line.split('\t')
+        if len(fields) < 11 or not fields[9] or not fields[10]:
+            continue
+        fsa = fields[1].strip().upper()
+        table[fsa] = {
+            "lat": round(float(fields[9]), 4),
+            "lon": round(float(fields[10]), 4),
+            "name": f"{fields[2]}, {fields[4]}"
+        }
+
+    with open('data/canada-fsa-centroids.json', 'w') as f:
+        json.dump({
+            "source": "GeoNames postal code data (CC BY 4.0), https://www.geonames.org/",
+            "fsa": dict(sorted(table.items()))
+        }, f, indent=1)
+
+    print(f"Successfully saved {len(table)} FSA centroids")
+
+except Exception as e:
+    print(f"Error: {e}", file=sys.stderr)
+    sys.exit(1)
+PYTHON
+
+if [ $? -eq 0 ]; then
+    echo "FSA centroids successfully saved to data/canada-fsa-centroids.json"
+    rm /tmp/geonames_ca.zip
+else
+    echo "Error processing postal code data"
+    exit 1
+fi
@@ -0,0 +1,82 @@
+#!/bin/bash
+# Fetch cottage road attributes from OpenStreetMap Overpass API for RoadAttributes lookups
+
+echo "Fetching cottage road attributes from OpenStreetMap..."
+
+# Overpass API endpoint
+OVERPASS_URL="https://overpass-api.de/api/interpreter"
+
+# Cottage country by default (Muskoka, Haliburton, Kawarthas, Parry Sound); pass
+# "south,west,north,east" to use another area. A whole-province export is too large.
+BBOX="${1:-44.0,-81.0,46.0,-77.5}"
+
+# Ways with at least one attribute that slows traffic
+read -r -d '' QUERY << OVERPASS
+[out:json][timeout:300];
+(
+  way["highway"="track"](${BBOX});
+  way["highway"="service"]["service"!="parking_aisle"](${BBOX});
+  way["highway"]["surface"~"^(unpaved|gravel|fine_gravel|compacted|dirt|earth|ground|grass|sand|mud|pebblestone|rock|woodchips)$"](${BBOX});
+  way["highway"]["access"~"^(private|destination|customers|delivery)$"](${BBOX});
+  way["highway"]["seasonal"](${BBOX});
+);
+out body;
+OVERPASS
+
+# Fetch data
+echo "Downloading data from Overpass API..."
+curl -X POST "$OVERPASS_URL" \
+  -H "Content-Type: application/x-www-form-urlencoded" \
+  --data-urlencode "data=$QUERY" \
+  -o /tmp/overpass_roads.json
+
+# Convert to the node → way lookup read by RoadAttributes
+echo "Converting to lookup table..."
+python3 << 'PYTHON'
+import json
+import sys
+
+TAGS = ('highway', 'surface', 'tracktype', 'access', 'seasonal')
+
+try:
+    with open('/tmp/overpass_roads.json', 'r') as f:
+        data = json.load(f)
+
+    ways = []
+    way_index = {}
+    nodes = {}
+    for element in data.get('elements', []):
+        if element.get('type') != 'way':
+            continue
+        tags = element.get('tags', {})
+        attributes = {key: tags[key] for key in TAGS if key in tags}
+
+        # Ways with identical tags share one entry to keep the file small
+        key = json.dumps(attributes, sort_keys=True)
+        if key not in way_index:
+            way_index[key] = len(ways)
+            ways.append(attributes)
+        for node in element.get('nodes', []):
+            nodes[str(node)] = way_index[key]
+
+    with open('data/road-attributes.json', 'w') as f:
+        json.dump({
+            "source": "OpenStreetMap contributors (ODbL), via the Overpass API",
+            "ways": ways,
+            "nodes": nodes
+        }, f, separators=(',', ':'))
+
+    print(f"Successfully saved {len(nodes)} nodes on {len(ways)} distinct road types")
+
+except Exception as e:
+    print(f"Error: {e}", file=sys.stderr)
+    sys.exit(1)
+PYTHON
+
+if [ $? -eq 0 ]; then
+    echo "Road attributes successfully saved to data/road-attributes.json"
+    rm /tmp/overpass_roads.json
+else
+    echo "Error processing road data"
+    exit 1
+fi
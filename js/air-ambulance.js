@@ -0,0 +1,150 @@
+/**
+ * Air Ambulance Module
+ * Flight times from air ambulance bases for remote and northern locations,
+ * where road routes are long straight-line estimates or don't exist.
+ * A flight is the straight-line distance at the aircraft's cruise speed,
+ * after its launch time and followed by its landing time.
+ *
+ * Bases are facilities of type 'air_ambulance' (data/air-ambulance-bases.geojson) with:
+ *   aircraft        - 'rotary' (helicopter) or 'fixed_wing'
+ *   availability    - '24/7' or 'day' (daylight only); defaults to the aircraft's
+ *   launch_minutes  - optional launch time overriding the aircraft's
+ *
+ * Configured through AppConfig.air:
+ *   enabled  - false to leave air ambulances out of the assessment
+ *   aircraft - overrides per aircraft type: { cruiseSpeed, launchMinutes, landingMinutes, maxDistance, availability }
+ */
+
+const AirAmbulance = {
+    enabled: true,
+
+    aircraft: {
+        rotary: {
+            label: 'Helicopter',
+            cruiseSpeed: 240, // km/h
+            launchMinutes: 10, // Crew to the aircraft and airborne
+            landingMinutes: 5, // Finding and securing a landing zone near the patient
+            maxDistance: 300, // km, one-way range with reserve
+            availability: '24/7' // Night vision equipped
+        },
+        fixed_wing: {
+            label: 'Fixed-wing',
+            cruiseSpeed: 450,
+            launchMinutes: 30,
+            landingMinutes: 20, // Landing at the nearest airstrip and the transfer from it
+            maxDistance: 1500,
+            availability: '24/7'
+        }
+    },
+
+    nightElevation: -6, // Sun elevation (degrees) below which it counts as night (civil twilight)
+
+    /**
+     * Apply settings from AppConfig.air
+     * @param {object} config - { enabled, aircraft: { type: { cruiseSpeed, launchMinutes, landingMinutes, maxDistance, availability } } }
+     */
+    configure({ enabled = true, aircraft = {} } = {}) {
+        this.enabled = enabled;
+        Object.keys(aircraft).forEach(type => {
+            if (this.aircraft[type]) {
+                Object.assign(this.aircraft[type], aircraft[type]);
+            }
+        });
+    },
+
+    /**
+     * Get the aircraft profile of a base (unknown aircraft are treated as helicopters)
+     */
+    getAircraft(facility) {
+        return this.aircraft[facility.properties.aircraft] || this.aircraft.rotary;
+    },
+
+    /**
+     * Whether it is night at a place and time: the sun is below nightElevation.
+     * Approximate (within a few minutes of published sunrise and sunset times).
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @param {Date} date - Time
+     * @returns {boolean} True at night
+     */
+    isNight(lat, lon, date) {
+        const rad = Math.PI / 180;
+        const dayOfYear = (date.getTime() - Date.UTC(date.getUTCFullYear(), 0, 1)) / 86400000;
+        const declination = -23.44 * Math.cos(2 * Math.PI / 365 * (dayOfYear + 10));
+        const solarHours = date.getUTCHours() + date.getUTCMinutes() / 60 + lon / 15;
+        const hourAngle = (solarHours - 12) * 15;
+
+        const elevation = Math.asin(
+            Math.sin(lat * rad) * Math.sin(declination * rad) +
+            Math.cos(lat * rad) * Math.cos(declination * rad) * Math.cos(hourAngle * rad)
+        ) / rad;
+        return elevation < this.nightElevation;
+    },
+
+    /**
+     * Whether a base can fly to a location at a given time
+     * @param {object} facility - Air ambulance base
+     * @param {number} lat - Patient latitude
+     * @param {number} lon - Patient longitude
+     * @param {Date} date - Time of the cardiac arrest
+     * @returns {boolean} True if available
+     */
+    isAvailable(facility, lat, lon, date) {
+        const availability = facility.properties.availability || this.getAircraft(facility).availability;
+        return availability !== 'day' || !this.isNight(lat, lon, date);
+    },
+
+    /**
+     * Find the bases that can reach a location at a given time
+     * @param {number} lat - Patient latitude
+     * @param {number} lon - Patient longitude
+     * @param {Date} date - Time of the cardiac arrest
+     * @returns {Array} Available bases within their aircraft's range, nearest first
+     */
+    findAvailableBases(lat, lon, date = new Date()) {
+        if (!this.enabled) {
+            return [];
+        }
+        const range = Math.max(...Object.values(this.aircraft).map(aircraft => aircraft.maxDistance));
+        return FacilitiesManager.findFacilitiesWithinRadius(lat, lon, 'air_ambulance', range, f => this.isAvailable(f, lat, lon, date))
+            .filter(base => base.distance <= this.getAircraft(base).maxDistance);
+    },
+
+    /**
+     * Plan the flight from a base to the patient
+     * @param {object} base - Air ambulance base with lat and lon
+     * @param {number} lat - Patient latitude
+     * @param {number} lon - Patient longitude
+     * @returns {object} Route { mode 'air', aircraft, distance (km), duration (min of flight and landing),
+     *     launchMinutes, flightMinutes, landingMinutes, geometry, estimated: false }
+     */
+    planFlight(base, lat, lon) {
+        const aircraft = this.getAircraft(base);
+        const distance = FacilitiesManager.calculateDistance(base.lat, base.lon, lat, lon);
+        const override = parseFloat(base.properties.launch_minutes);
+        const flightMinutes = (distance / aircraft.cruiseSpeed) * 60;
+
+        return {
+            mode: 'air',
+            aircraft: aircraft.label,
+            distance: distance,
+            duration: flightMinutes + aircraft.landingMinutes,
+            launchMinutes: Number.isFinite(override) ? override : aircraft.launchMinutes,
+            flightMinutes: flightMinutes,
+            landingMinutes: aircraft.landingMinutes,
+            geometry: { type: 'LineString', coordinates: [[base.lon, base.lat], [lon, lat]] },
+            estimated: false
+        };
+    },
+
+    /**
+     * Explain the flight model (map popup, results notice and report)
+     * @param {object} route - Route from planFlight
+     * @returns {string} Sentence
+     */
+    describe(route) {
+        return `${route.aircraft}: ${route.launchMinutes.toFixed(0)} min to launch, ` +
+            `${route.distance.toFixed(0)} km straight line in ${route.flightMinutes.toFixed(1)} min, ` +
+            `${route.landingMinutes.toFixed(0)} min to land`;
+    }
+};
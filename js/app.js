@@ -6,6 +6,18 @@
 window.App = {
     selectedLocation: null,
     autocompleteTimeout: null,
+    lastResults: null,
+    batchLocations: null,
+    batchResults: null,
+    batchCancelled: false,
+    assessedAt: null,
+    assessedOffline: false,
+    locationSource: null, // { provider, precision, postalCode } of the selected location
+    fireService: null, // Fire service area assignment of the selected location
+    emsChain: null, // Ambulance chain of the last assessment, redrawn with the routes
+    dronePlanning: false, // Map clicks place drone bases instead of selecting a location
+    assessmentSequence: 0, // Incremented per assessment; only the latest one renders
+    assessmentController: null, // Cancels the requests of a superseded assessment
 
     /**
      * Initialize application
@@ -21,18 +33,53 @@ window.App = {
         }
 
         try {
+            // Use the configured routing and geocoding providers
+            RoutingService.configure(AppConfig.routing);
+            EmergencyProfile.configure(AppConfig.emergency);
+            RoadAttributes.configure(AppConfig.roads);
+            SeasonalConditions.configure(AppConfig.seasons);
+            WaterAccess.configure(AppConfig.water);
+            HospitalDestination.configure(AppConfig.hospitals);
+            AirAmbulance.configure(AppConfig.air);
+            DroneAED.configure(AppConfig.drones);
+            GeocodingService.configure(AppConfig.geocoding);
+
             // Initialize map
             MapManager.initMap();
 
-            // Load facility data
-            await FacilitiesManager.loadFacilities();
+            // Work offline with cached data when there is no connection
+            OfflineManager.init(online => this.handleConnectivityChange(online));
+            this.handleConnectivityChange(OfflineManager.online);
+
+            // Load facility data, fire service areas, the offline postal code table,
+            // cottage road attributes and boat launches
+            await Promise.all([
+                FacilitiesManager.loadFacilities(),
+                FacilitiesManager.loadServiceAreas(),
+                GeocodingService.loadPostalCodes(),
+                RoadAttributes.loadLookup(),
+                WaterAccess.loadLaunches()
+            ]);
+            const roadWarning = RoadAttributes.getDetectionWarning(RoutingService.getProvider());
+            if (roadWarning) {
+                console.warn(roadWarning);
+            }
 
             // Set up event listeners
             this.setupEventListeners();
 
+            // Accept commands from an iframe host page; ready is sent now rather than
+            // after a shared link's assessment, which may take a while or fail
+            EmbedAPI.init();
+
+            // Restore an assessment from a shared link, and follow back/forward
+            window.addEventListener('popstate', () => this.restoreFromUrl('none'));
+            await this.restoreFromUrl('replace');
+
             console.log('Application ready');
         } catch (error) {
             console.error('Initialization error:', error);
+            EmbedAPI.notifyError('Failed to initialize application', 'init_failed');
             this.showError('Failed to initialize application. Please refresh the page.');
         }
     },
@@ -64,6 +111,90 @@ window.App = {
             this.handleAddressInput(e.target.value);
         });
 
+        // Time of arrest (AED access hours depend on it)
+        const timeInput = document.getElementById('assessment-time');
+        timeInput.value = this.formatDateTimeLocal(new Date());
+        timeInput.addEventListener('change', () => {
+            if (this.selectedLocation) {
+                this.rerunAssessment();
+            }
+        });
+
+        // Season and snow conditions
+        const snowSelect = document.getElementById('snow-condition');
+        SeasonalConditions.snowConditions.forEach(condition => {
+            const option = document.createElement('option');
+            option.value = condition.id;
+            option.textContent = condition.label;
+            snowSelect.appendChild(option);
+        });
+        ['season-mode', 'snow-condition'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.handleSeasonChange());
+        });
+
+        // CPR scenario selector
+        const scenarioSelect = document.getElementById('cpr-scenario');
+        const cprStartInput = document.getElementById('cpr-start-minute');
+        scenarioSelect.addEventListener('change', () => this.handleScenarioChange());
+        cprStartInput.addEventListener('change', () => this.handleScenarioChange());
+        this.handleScenarioChange();
+
+        // Survival model selector
+        const modelSelect = document.getElementById('survival-model');
+        SurvivalModels.list().forEach(model => {
+            const option = document.createElement('option');
+            option.value = model.id;
+            option.textContent = model.name;
+            modelSelect.appendChild(option);
+        });
+        modelSelect.value = SurvivalCalculator.modelId;
+        modelSelect.addEventListener('change', () => {
+            SurvivalCalculator.setModel(modelSelect.value);
+            this.refreshSurvivalResults();
+        });
+
+        // Patient access delay (high-rise floors, long driveways)
+        ['access-floor', 'access-driveway'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.handlePatientAccessChange());
+        });
+
+        // Editable cottage road speed table
+        this.setupRoadSpeedInputs();
+
+        // Coverage layer toggle
+        const coverageBtn = document.getElementById('coverage-btn');
+        coverageBtn.addEventListener('click', () => {
+            this.handleCoverageToggle();
+        });
+
+        // Save map tiles for offline use
+        const offlineBtn = document.getElementById('offline-download-btn');
+        offlineBtn.disabled = !OfflineManager.isSupported();
+        offlineBtn.addEventListener('click', () => {
+            this.handleOfflineDownload();
+        });
+
+        // Share the current assessment
+        document.getElementById('copy-link-btn').addEventListener('click', () => {
+            this.copyPermalink();
+        });
+
+        // Printable report
+        document.getElementById('print-report-btn').addEventListener('click', () => {
+            this.printReport();
+        });
+
+        // Batch assessment panel
+        this.setupBatchPanel();
+
+        // Drone AED planning
+        document.getElementById('drone-planning-btn').addEventListener('click', () => {
+            this.toggleDronePlanning();
+        });
+        document.getElementById('drone-clear-btn').addEventListener('click', () => {
+            this.clearDroneBases();
+        });
+
         // Current location button
         const locationBtn = document.getElementById('current-location-btn');
         locationBtn.addEventListener('click', () => {
@@ -78,6 +209,277 @@ window.App = {
         });
     },
 
+    /**
+     * Apply the selected CPR scenario and refresh the displayed results
+     */
+    handleScenarioChange() {
+        const type = document.getElementById('cpr-scenario').value;
+        const cprStart = parseFloat(document.getElementById('cpr-start-minute').value);
+        document.getElementById('cpr-start-group').classList.toggle('hidden', type !== 'dispatcher');
+
+        SurvivalCalculator.setScenario(type, cprStart);
+        this.refreshSurvivalResults();
+    },
+
+    /**
+     * Apply the selected season and snow condition and re-run the assessment
+     */
+    handleSeasonChange() {
+        SeasonalConditions.set({
+            mode: document.getElementById('season-mode').value,
+            snow: document.getElementById('snow-condition').value,
+            date: this.getAssessmentTime()
+        });
+        if (this.selectedLocation) {
+            this.rerunAssessment();
+        }
+    },
+
+    /**
+     * Apply the patient-access delay and refresh the displayed results
+     */
+    handlePatientAccessChange() {
+        ResponseIntervals.setPatientAccess({
+            floor: parseInt(document.getElementById('access-floor').value, 10),
+            drivewayMeters: parseFloat(document.getElementById('access-driveway').value)
+        });
+        this.refreshSurvivalResults();
+    },
+
+    /**
+     * Add an input per cottage road category; changes re-run the assessment
+     */
+    setupRoadSpeedInputs() {
+        const container = document.getElementById('road-speed-fields');
+        RoadAttributes.categories.forEach(category => {
+            const field = document.createElement('div');
+            field.className = 'inline-field';
+            field.innerHTML = `
+                <label for="road-speed-${category.id}">${category.label}</label>
+                <input type="number" id="road-speed-${category.id}" min="5" max="100" step="5" value="${category.speed}">
+            `;
+            field.querySelector('input').addEventListener('change', (e) => {
+                RoadAttributes.setSpeed(category.id, parseFloat(e.target.value));
+                e.target.value = category.speed;
+                if (this.selectedLocation) {
+                    this.rerunAssessment();
+                }
+            });
+            container.appendChild(field);
+        });
+    },
+
+    /**
+     * Recalculate survival for the last assessment after an option change.
+     * Survival depends only on the routes, so there is no need to re-route.
+     */
+    refreshSurvivalResults() {
+        if (this.lastResults) {
+            const { address, facilities, routes, alternatives } = this.lastResults;
+            const survivalStats = SurvivalCalculator.calculateAllSurvivalStats(routes, facilities);
+            this.displayResults(address, facilities, routes, survivalStats, alternatives);
+            this.updatePermalink('replace');
+        }
+    },
+
+    /**
+     * Get the current assessment as permalink state
+     * @returns {object|null} State, or null if no location has been assessed
+     */
+    getPermalinkState() {
+        if (!this.selectedLocation) {
+            return null;
+        }
+        const { type, cprStart } = SurvivalCalculator.scenario;
+        const { floor, drivewayMeters } = ResponseIntervals.patientAccess;
+
+        return {
+            lat: this.selectedLocation.lat,
+            lon: this.selectedLocation.lon,
+            name: this.lastResults ? this.lastResults.address : null,
+            time: document.getElementById('assessment-time').value,
+            cpr: type,
+            cprStart: type === 'dispatcher' ? cprStart : null,
+            model: SurvivalCalculator.modelId,
+            floor: floor || null,
+            driveway: drivewayMeters || null,
+            season: SeasonalConditions.mode !== 'auto' ? SeasonalConditions.mode : null,
+            snow: SeasonalConditions.snow !== 'none' ? SeasonalConditions.snow : null,
+            precision: this.locationSource && this.locationSource.precision !== 'exact'
+                ? this.locationSource.precision
+                : null
+        };
+    },
+
+    /**
+     * Write the current assessment to the URL
+     * @param {string} mode - 'push' a new history entry, 'replace' the current one, or 'none'
+     */
+    updatePermalink(mode) {
+        const state = this.getPermalinkState();
+        if (!state || mode === 'none') {
+            return;
+        }
+        const url = Permalink.buildUrl(state);
+        if (mode === 'push') {
+            history.pushState(state, '', url);
+        } else {
+            history.replaceState(state, '', url);
+        }
+    },
+
+    /**
+     * Re-run the assessment encoded in the URL; a URL without one (e.g. going
+     * back to the first page) clears the current assessment
+     * @param {string} historyMode - History update once the assessment is shown
+     */
+    async restoreFromUrl(historyMode) {
+        const state = Permalink.decode(window.location.search);
+        if (!state) {
+            this.clearAssessment();
+            return;
+        }
+
+        this.applyOptions(state);
+        if (state.name) {
+            document.getElementById('address-input').value = state.name;
+        }
+        const source = state.precision
+            ? { provider: state.precision === 'fsa' ? 'fsa' : 'link', precision: state.precision }
+            : null;
+        await this.onLocationSelected(state.lat, state.lon, state.name || null, historyMode, source);
+    },
+
+    /**
+     * Remove the selected location, its results and their map layers,
+     * cancelling an assessment still in progress
+     */
+    clearAssessment() {
+        this.assessmentSequence++;
+        if (this.assessmentController) {
+            this.assessmentController.abort();
+            this.assessmentController = null;
+        }
+
+        this.selectedLocation = null;
+        this.locationSource = null;
+        this.lastResults = null;
+        this.fireService = null;
+        this.emsChain = null;
+        this.assessedAt = null;
+
+        document.getElementById('address-input').value = '';
+        MapManager.clearUserMarker();
+        MapManager.clearFacilityMarkers();
+        MapManager.clearRoutes();
+        this.hideLoading();
+        document.getElementById('results-panel').classList.add('hidden');
+    },
+
+    /**
+     * Apply scenario and model options from permalink state to the controls and modules
+     * @param {object} state - Decoded permalink state
+     */
+    applyOptions(state) {
+        if (state.time) {
+            document.getElementById('assessment-time').value = state.time;
+        }
+
+        const scenarioSelect = document.getElementById('cpr-scenario');
+        if (state.cpr && SurvivalCalculator.cprScenarios[state.cpr]) {
+            scenarioSelect.value = state.cpr;
+        }
+        if (Number.isFinite(state.cprStart)) {
+            document.getElementById('cpr-start-minute').value = state.cprStart;
+        }
+        document.getElementById('cpr-start-group').classList.toggle('hidden', scenarioSelect.value !== 'dispatcher');
+        SurvivalCalculator.setScenario(scenarioSelect.value, parseFloat(document.getElementById('cpr-start-minute').value));
+
+        if (state.model) {
+            SurvivalCalculator.setModel(state.model);
+            document.getElementById('survival-model').value = SurvivalCalculator.modelId;
+        }
+
+        document.getElementById('access-floor').value = state.floor || 0;
+        document.getElementById('access-driveway').value = state.driveway || 0;
+        ResponseIntervals.setPatientAccess({ floor: state.floor, drivewayMeters: state.driveway });
+
+        SeasonalConditions.set({
+            mode: state.season || 'auto',
+            snow: state.snow || 'none',
+            date: this.getAssessmentTime()
+        });
+        document.getElementById('season-mode').value = SeasonalConditions.mode;
+        document.getElementById('snow-condition').value = SeasonalConditions.snow;
+    },
+
+    /**
+     * Render the printable report for the current assessment and open the print dialog
+     */
+    printReport() {
+        if (!this.lastResults) {
+            return;
+        }
+
+        const { address, facilities, routes } = this.lastResults;
+        document.getElementById('report-view').innerHTML = ReportGenerator.build({
+            address: address,
+            location: this.selectedLocation,
+            locationSource: this.locationSource,
+            fireService: this.fireService,
+            facilities: facilities,
+            routes: routes,
+            stats: SurvivalCalculator.calculateAllSurvivalStats(routes, facilities),
+            assessedAt: this.assessedAt,
+            arrestTime: this.getAssessmentTime()
+        });
+        window.print();
+    },
+
+    /**
+     * Copy a link to the current assessment to the clipboard
+     */
+    async copyPermalink() {
+        const state = this.getPermalinkState();
+        if (!state) {
+            return;
+        }
+
+        const url = new URL(Permalink.buildUrl(state), window.location.href).href;
+        const button = document.getElementById('copy-link-btn');
+        try {
+            await navigator.clipboard.writeText(url);
+            button.textContent = '✔ Link Copied';
+        } catch (error) {
+            // Clipboard access can be blocked (e.g. inside iframes); show the link instead
+            window.prompt('Copy this link:', url);
+        }
+        setTimeout(() => {
+            button.textContent = '🔗 Copy Link';
+        }, 2000);
+    },
+
+    /**
+     * Get the selected time of the cardiac arrest
+     * @returns {Date} Selected time, or now if none is set
+     */
+    getAssessmentTime() {
+        const value = document.getElementById('assessment-time').value;
+        const date = value ? new Date(value) : new Date();
+        return isNaN(date.getTime()) ? new Date() : date;
+    },
+
+    /**
+     * Format a date for a datetime-local input
+     * @param {Date} date - Date to format
+     * @returns {string} Local time as YYYY-MM-DDTHH:MM
+     */
+    formatDateTimeLocal(date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+            `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    },
+
     /**
      * Handle address input with autocomplete
      */
@@ -90,8 +492,15 @@ window.App = {
         }
 
         this.autocompleteTimeout = setTimeout(async () => {
-            const results = await GeocodingService.searchAddress(query);
-            this.showAutocompleteResults(results);
+            try {
+                // Each keystroke's search cancels the one before it
+                const results = await GeocodingService.searchAddress(query, { channel: 'autocomplete' });
+                this.showAutocompleteResults(results);
+            } catch (error) {
+                if (!RequestManager.isAbortError(error)) {
+                    console.error('Autocomplete error:', error);
+                }
+            }
         }, 300);
     },
 
@@ -110,7 +519,8 @@ window.App = {
         results.forEach(result => {
             const item = document.createElement('div');
             item.className = 'autocomplete-item';
-            item.textContent = result.display_name;
+            // Offline results come from earlier searches
+            item.textContent = result.cached ? `${result.display_name} (saved)` : result.display_name;
             item.addEventListener('click', () => {
                 this.selectAutocompleteResult(result);
             });
@@ -134,7 +544,261 @@ window.App = {
     selectAutocompleteResult(result) {
         document.getElementById('address-input').value = result.display_name;
         this.hideAutocomplete();
-        this.onLocationSelected(result.lat, result.lon, result.display_name);
+        this.onLocationSelected(result.lat, result.lon, result.display_name, 'push', result);
+    },
+
+    /**
+     * Show or hide the response-time coverage layer for the current viewport
+     */
+    async handleCoverageToggle() {
+        const button = document.getElementById('coverage-btn');
+        const status = document.getElementById('coverage-status');
+
+        if (MapManager.coverageLayer || CoverageService.worker) {
+            CoverageService.cancel();
+            MapManager.clearCoverage();
+            button.textContent = '🗺️ Show Coverage';
+            status.textContent = '';
+            return;
+        }
+
+        button.textContent = '✖ Hide Coverage';
+        status.textContent = 'Calculating coverage...';
+
+        try {
+            const result = await CoverageService.compute(
+                MapManager.getViewportBounds(),
+                MapManager.getViewportAspectRatio(),
+                (completed, total) => {
+                    status.textContent = `Calculating coverage... ${Math.round((completed / total) * 100)}%`;
+                }
+            );
+            MapManager.showCoverage(result.cells, result.cellSize);
+            status.textContent = result.estimated
+                ? 'Coverage estimated from straight-line distance (routing unavailable)'
+                : '';
+        } catch (error) {
+            console.error('Coverage error:', error);
+            button.textContent = '🗺️ Show Coverage';
+            status.textContent = 'Unable to calculate coverage for this view.';
+        }
+    },
+
+    /**
+     * Switch routing and geocoding between live services and offline fallbacks
+     * @param {boolean} online - Whether there is a connection
+     */
+    handleConnectivityChange(online) {
+        RoutingService.offline = !online;
+        GeocodingService.offline = !online;
+        document.getElementById('offline-banner').classList.toggle('hidden', online);
+
+        // Replace estimates made while offline with routed results
+        if (online && this.assessedOffline && this.selectedLocation) {
+            this.rerunAssessment();
+        }
+    },
+
+    /**
+     * Download map tiles for the current view so it can be used offline
+     */
+    async handleOfflineDownload() {
+        const button = document.getElementById('offline-download-btn');
+        const status = document.getElementById('offline-status');
+
+        button.disabled = true;
+        status.textContent = 'Saving map area...';
+
+        try {
+            const { downloaded, failed } = await OfflineManager.downloadRegion(
+                MapManager.getViewportBounds(),
+                MapManager.map.getZoom(),
+                (completed, total) => {
+                    status.textContent = `Saving map area... ${Math.round((completed / total) * 100)}%`;
+                }
+            );
+            status.textContent = failed > 0
+                ? `Saved ${downloaded} map tiles (${failed} failed)`
+                : `Saved ${downloaded} map tiles for offline use`;
+        } catch (error) {
+            console.error('Offline download error:', error);
+            status.textContent = error.message;
+        } finally {
+            button.disabled = false;
+        }
+    },
+
+    /**
+     * Turn drone planning mode on or off: while on, map clicks place drone bases
+     */
+    toggleDronePlanning() {
+        this.dronePlanning = !this.dronePlanning;
+        document.getElementById('drone-planning-btn').textContent = this.dronePlanning
+            ? '✋ Stop Placing Bases'
+            : '🛩️ Place Drone Bases';
+        document.getElementById('map').classList.toggle('planning', this.dronePlanning);
+    },
+
+    /**
+     * Place a planned drone base and show its effect on the assessed location
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     */
+    placeDroneBase(lat, lon) {
+        DroneAED.addPlannedBase(lat, lon);
+        this.refreshDroneResults();
+    },
+
+    clearDroneBases() {
+        DroneAED.clearPlannedBases();
+        this.refreshDroneResults();
+    },
+
+    /**
+     * Re-select the drone base for the last assessment and refresh the results.
+     * Drone flights are straight lines, so nothing is re-routed.
+     */
+    refreshDroneResults() {
+        MapManager.drawDroneBases(DroneAED.plannedBases, DroneAED.maxRange);
+        document.getElementById('drone-status').textContent = DroneAED.plannedBases.length > 0
+            ? `${DroneAED.plannedBases.length} planned base${DroneAED.plannedBases.length === 1 ? '' : 's'}`
+            : '';
+
+        if (!this.lastResults || !this.selectedLocation) {
+            return;
+        }
+
+        const { lat, lon } = this.selectedLocation;
+        const { facilities, routes, alternatives } = this.lastResults;
+        const flight = RoutingService.selectFastestFlight(
+            DroneAED.findBasesInRange(lat, lon), base => DroneAED.planFlight(base, lat, lon)
+        );
+        if (flight) {
+            facilities.drone_aed = flight.facility;
+            routes.drone_aed = flight.route;
+            alternatives.drone_aed = flight.alternatives;
+        } else {
+            delete facilities.drone_aed;
+            delete routes.drone_aed;
+            delete alternatives.drone_aed;
+        }
+
+        MapManager.addFacilityMarkers(facilities);
+        MapManager.drawRoutes(routes, this.emsChain);
+        this.refreshSurvivalResults();
+    },
+
+    /**
+     * Compare a drone AED with the fire and ambulance response it would come before
+     * @param {object} [facility] - Drone base
+     * @param {object} survivalStats - Statistics from calculateAllSurvivalStats
+     */
+    updateDroneNotice(facility, survivalStats) {
+        const notice = document.getElementById('drone-notice');
+        const drone = survivalStats.drone_aed;
+
+        if (!facility || !drone) {
+            notice.classList.add('hidden');
+            return;
+        }
+
+        const responders = ['fire_station', 'ambulance_station'].filter(type => survivalStats[type]);
+        const comparisons = responders
+            .map(type => `${survivalStats[type].label.toLowerCase()} ${survivalStats[type].survivalRate.toFixed(1)}% at ${survivalStats[type].minutes.toFixed(1)} min`)
+            .join(', ');
+        const best = Math.max(...responders.map(type => survivalStats[type].survivalRate));
+        const change = responders.length > 0
+            ? ` (${comparisons}): ${drone.survivalRate - best >= 0 ? '+' : ''}${(drone.survivalRate - best).toFixed(1)} points over the best of them`
+            : '';
+
+        notice.textContent = `🛩️ Drone AED from ${facility.properties.name || 'Unknown'}: AED at the patient's side in ` +
+            `${drone.minutes.toFixed(1)} min, survival ${drone.survivalRate.toFixed(1)}%${change}.`;
+        notice.classList.remove('hidden');
+    },
+
+    /**
+     * Set up the batch assessment panel
+     */
+    setupBatchPanel() {
+        const fileInput = document.getElementById('batch-file');
+        const startBtn = document.getElementById('batch-start-btn');
+
+        fileInput.addEventListener('change', async () => {
+            this.batchLocations = null;
+            startBtn.disabled = true;
+            const file = fileInput.files[0];
+            if (!file) {
+                return;
+            }
+
+            try {
+                this.batchLocations = BatchAssessment.parseLocations(await file.text());
+                startBtn.disabled = this.batchLocations.length === 0;
+                this.showBatchProgress(0, this.batchLocations.length, `${this.batchLocations.length} locations ready`);
+            } catch (error) {
+                this.showBatchProgress(0, 0, error.message);
+            }
+        });
+
+        startBtn.addEventListener('click', () => this.runBatch());
+
+        document.getElementById('batch-cancel-btn').addEventListener('click', () => {
+            this.batchCancelled = true;
+        });
+
+        document.getElementById('batch-download-csv').addEventListener('click', () => {
+            BatchAssessment.download('aed-risk-assessment.csv', BatchAssessment.toCSV(this.batchResults), 'text/csv');
+        });
+
+        document.getElementById('batch-download-geojson').addEventListener('click', () => {
+            BatchAssessment.download('aed-risk-assessment.geojson', BatchAssessment.toGeoJSON(this.batchResults), 'application/geo+json');
+        });
+    },
+
+    /**
+     * Run the batch assessment for the loaded CSV
+     */
+    async runBatch() {
+        const startBtn = document.getElementById('batch-start-btn');
+        const cancelBtn = document.getElementById('batch-cancel-btn');
+        const total = this.batchLocations.length;
+
+        this.batchCancelled = false;
+        startBtn.disabled = true;
+        cancelBtn.classList.remove('hidden');
+        document.getElementById('batch-downloads').classList.add('hidden');
+        this.showBatchProgress(0, total, `Assessing 0 of ${total}...`);
+
+        let failures = 0;
+        this.batchResults = await BatchAssessment.run(this.batchLocations, {
+            date: this.getAssessmentTime(),
+            isCancelled: () => this.batchCancelled,
+            onProgress: (completed, count, result) => {
+                if (result.error) {
+                    failures++;
+                }
+                this.showBatchProgress(completed, count, `Assessing ${completed} of ${count}...`);
+            }
+        });
+
+        const done = this.batchResults.length;
+        const summary = this.batchCancelled ? `Cancelled after ${done} of ${total}` : `Assessed ${done} locations`;
+        this.showBatchProgress(done, total, failures > 0 ? `${summary} (${failures} failed)` : summary);
+
+        startBtn.disabled = false;
+        cancelBtn.classList.add('hidden');
+        if (done > 0) {
+            document.getElementById('batch-downloads').classList.remove('hidden');
+        }
+    },
+
+    /**
+     * Update the batch progress bar
+     */
+    showBatchProgress(completed, total, message) {
+        document.getElementById('batch-progress').classList.remove('hidden');
+        document.getElementById('batch-progress-fill').style.width = total > 0 ? `${(completed / total) * 100}%` : '0%';
+        document.getElementById('batch-progress-text').textContent = message;
     },
 
     /**
@@ -155,54 +819,110 @@ window.App = {
         }
     },
 
+    /**
+     * Re-run the current assessment after a change that affects routing
+     * @returns {Promise} Resolves when the results are shown
+     */
+    rerunAssessment() {
+        const { lat, lon } = this.selectedLocation;
+        return this.onLocationSelected(
+            lat, lon, this.lastResults ? this.lastResults.address : null, 'replace', this.locationSource
+        );
+    },
+
     /**
      * Handle location selection (from map click, address search, or current location)
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @param {string} [displayName] - Address to show (reverse geocoded if omitted)
+     * @param {string} [historyMode] - 'push' a new history entry, 'replace' the current one, or 'none'
+     * @param {object} [source] - Geocoding result the location came from ({ provider, precision });
+     *     omitted for exact points such as map clicks
      */
-    async onLocationSelected(lat, lon, displayName = null) {
+    async onLocationSelected(lat, lon, displayName = null, historyMode = 'push', source = null) {
+        // A newer selection supersedes this one: cancel its requests and ignore its results
+        const sequence = ++this.assessmentSequence;
+        if (this.assessmentController) {
+            this.assessmentController.abort();
+        }
+        const controller = new AbortController();
+        this.assessmentController = controller;
+        const request = { signal: controller.signal };
+        const isCurrent = () => sequence === this.assessmentSequence;
+
         try {
             this.showLoading();
 
             // Store selected location
             this.selectedLocation = { lat, lon };
+            this.locationSource = source
+                ? { provider: source.provider, precision: source.precision, postalCode: source.postalCode }
+                : { provider: 'map', precision: 'exact' };
 
             // Update map marker
             MapManager.setUserMarker(lat, lon);
 
             // Get display name if not provided
             if (!displayName) {
-                const address = await GeocodingService.reverseGeocode(lat, lon);
+                const address = await GeocodingService.reverseGeocode(lat, lon, request);
+                if (!isCurrent()) {
+                    return;
+                }
                 displayName = address.display_name;
                 document.getElementById('address-input').value = displayName;
             }
 
-            // Find nearest facilities
-            const nearestFacilities = FacilitiesManager.findAllNearestFacilities(lat, lon);
+            // Find the nearest candidates of each type (fire stations from the fire service area)
+            const candidates = FacilitiesManager.findAllCandidateFacilities(
+                lat, lon, RoutingService.candidateCount, this.getAssessmentTime()
+            );
+            this.fireService = FacilitiesManager.assignFireService(lat, lon, RoutingService.candidateCount);
 
-            // Calculate routes
-            const routes = await RoutingService.calculateAllRoutes(lat, lon, nearestFacilities);
+            // The season may follow the time of the cardiac arrest
+            SeasonalConditions.set({ date: this.getAssessmentTime() });
+
+            // Route to the fastest candidate of each type
+            const { facilities, routes, alternatives, chain } =
+                await RoutingService.calculateFastestRoutes(lat, lon, candidates, request);
+            if (!isCurrent()) {
+                return;
+            }
 
             // Calculate survival statistics
-            const survivalStats = SurvivalCalculator.calculateAllSurvivalStats(routes);
+            const survivalStats = SurvivalCalculator.calculateAllSurvivalStats(routes, facilities);
+            this.assessedAt = new Date();
+            this.assessedOffline = RoutingService.offline;
 
             // Update map
-            MapManager.addFacilityMarkers(nearestFacilities);
-            MapManager.drawRoutes(routes);
+            this.emsChain = chain;
+            MapManager.addFacilityMarkers(facilities);
+            MapManager.drawRoutes(routes, chain);
 
             // Display results
-            this.displayResults(displayName, nearestFacilities, routes, survivalStats);
+            this.displayResults(displayName, facilities, routes, survivalStats, alternatives);
+            this.updatePermalink(historyMode);
 
         } catch (error) {
+            if (RequestManager.isAbortError(error) || !isCurrent()) {
+                return;
+            }
             console.error('Error processing location:', error);
+            EmbedAPI.notifyError(`Error calculating routes: ${error.message}`);
             alert('Error calculating routes. Please try again.');
         } finally {
-            this.hideLoading();
+            if (isCurrent()) {
+                this.assessmentController = null;
+                this.hideLoading();
+            }
         }
     },
 
     /**
      * Display results
      */
-    displayResults(address, facilities, routes, survivalStats) {
+    displayResults(address, facilities, routes, survivalStats, alternatives = {}) {
+        this.lastResults = { address, facilities, routes, alternatives };
+
         // Show results panel
         const resultsPanel = document.getElementById('results-panel');
         resultsPanel.classList.remove('hidden');
@@ -213,31 +933,231 @@ window.App = {
         // Format survival data
         const formattedStats = SurvivalCalculator.formatForDisplay(survivalStats);
 
+        // Flag results that rest on straight-line estimates or an approximate location
+        this.updateDegradedNotice(routes);
+        this.updatePrecisionWarning();
+        this.updateSeasonNotice(routes);
+        this.updateWaterNotice(routes);
+        this.updateAirNotice(facilities.air_ambulance, routes.air_ambulance, survivalStats);
+        this.updateDroneNotice(facilities.drone_aed, survivalStats);
+        this.updateFireServiceNotice();
+        this.updateHospitalDestination(facilities.hospital, routes.hospital);
+        this.updateMilestones(survivalStats);
+
         // Update facility cards
+        this.updateFacilityCard('aed', facilities.aed, routes.aed, formattedStats.aed);
+        document.getElementById('aed-access').textContent = facilities.aed
+            ? FacilitiesManager.describeAedAccess(facilities.aed)
+            : `No accessible AED within ${FacilitiesManager.aedSearchRadius} km at this time. ${FacilitiesManager.unknownHoursNote}.`;
         this.updateFacilityCard('fire', facilities.fire_station, routes.fire_station, formattedStats.fire_station);
         this.updateFacilityCard('ambulance', facilities.ambulance_station, routes.ambulance_station, formattedStats.ambulance_station);
         this.updateFacilityCard('hospital', facilities.hospital, routes.hospital, formattedStats.hospital);
 
+        // List the other candidates that were compared
+        this.updateAlternatives('aed', alternatives.aed);
+        this.updateAlternatives('fire', alternatives.fire_station);
+        this.updateAlternatives('ambulance', alternatives.ambulance_station);
+        this.updateAlternatives('hospital', alternatives.hospital);
+
         // Update survival comparison chart
         this.updateSurvivalChart(formattedStats);
+        this.updateModelInfo();
+
+        // Tell an iframe host about the new results
+        EmbedAPI.notifyResults({
+            location: this.selectedLocation,
+            source: this.locationSource,
+            fireService: this.fireService,
+            address, facilities, routes,
+            stats: survivalStats
+        });
 
         // Scroll to results
         resultsPanel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
     },
 
+    /**
+     * Explain when driving times are estimates because routing was unavailable
+     * @param {object} routes - Routes keyed by facility type
+     */
+    updateDegradedNotice(routes) {
+        const notice = document.getElementById('degraded-notice');
+        const estimated = Object.values(routes).some(route => route.estimated && route.mode !== 'walking');
+
+        if (!estimated) {
+            notice.classList.add('hidden');
+            return;
+        }
+
+        notice.textContent = this.assessedOffline
+            ? '📴 Assessed offline: driving times (marked ~) are straight-line estimates and may be well off on winding rural roads. The assessment re-runs automatically when the connection returns.'
+            : '⚠️ The routing service was unavailable: some driving times (marked ~) are straight-line estimates.';
+        notice.classList.remove('hidden');
+    },
+
+    /**
+     * State the season and snow assumptions, and flag routes over roads closed for the season
+     * @param {object} routes - Routes keyed by facility type
+     */
+    updateSeasonNotice(routes) {
+        const notice = document.getElementById('season-notice');
+        const closures = Object.keys(routes)
+            .filter(type => routes[type].seasonalClosures && routes[type].seasonalClosures.length > 0)
+            .map(type => {
+                const roads = routes[type].seasonalClosures.map(closure => closure.name).join(', ');
+                return `⚠️ The ${MapManager.formatFacilityType(type).toLowerCase()} route uses a road closed in ` +
+                    `${SeasonalConditions.season} (${roads}) and no open alternative was found`;
+            });
+
+        // Road names come from map data, so build the list as text
+        const list = document.createElement('ul');
+        const roadWarning = RoadAttributes.getDetectionWarning(RoutingService.getProvider());
+        [...SeasonalConditions.describe(), ...(roadWarning ? [`⚠️ ${roadWarning}`] : []), ...closures].forEach(text => {
+            const item = document.createElement('li');
+            item.textContent = text;
+            list.appendChild(item);
+        });
+        notice.innerHTML = '<strong>Road conditions:</strong>';
+        notice.appendChild(list);
+        notice.classList.remove('hidden');
+    },
+
+    /**
+     * Explain the boat crossing when the location is reached by water
+     * @param {object} routes - Routes keyed by facility type
+     */
+    updateWaterNotice(routes) {
+        const notice = document.getElementById('water-notice');
+        const route = Object.values(routes).find(r => r.crossing);
+
+        if (!route) {
+            notice.classList.add('hidden');
+            return;
+        }
+
+        notice.textContent = `🚤 ${WaterAccess.describe(route.crossing)}. Travel times include the crossing.`;
+        notice.classList.remove('hidden');
+    },
+
+    /**
+     * Explain the air ambulance when it reaches the patient before the ground ambulance
+     * @param {object} [facility] - Air ambulance base
+     * @param {object} [route] - Flight from AirAmbulance.planFlight
+     * @param {object} survivalStats - Statistics from calculateAllSurvivalStats
+     */
+    updateAirNotice(facility, route, survivalStats) {
+        const notice = document.getElementById('air-notice');
+        const air = survivalStats.air_ambulance;
+
+        if (!facility || !route || !air) {
+            notice.classList.add('hidden');
+            return;
+        }
+
+        const ground = survivalStats.ambulance_station;
+        const comparison = ground
+            ? `${(ground.minutes - air.minutes).toFixed(1)} min before the ground ambulance`
+            : 'with no ground ambulance found';
+        notice.textContent = `🚁 Air ambulance from ${facility.properties.name || 'Unknown'} reaches the patient in ` +
+            `${air.minutes.toFixed(1)} min, ${comparison}. ${AirAmbulance.describe(route)}.`;
+        notice.classList.remove('hidden');
+    },
+
+    /**
+     * Show time to first defibrillation and time to definitive care side by side
+     * @param {object} survivalStats - Statistics from calculateAllSurvivalStats
+     */
+    updateMilestones(survivalStats) {
+        const { firstDefibrillation, definitiveCare } = SurvivalCalculator.getMilestones(survivalStats);
+
+        document.getElementById('first-defib-time').textContent = firstDefibrillation
+            ? `${firstDefibrillation.minutes.toFixed(1)} min`
+            : '-';
+        document.getElementById('first-defib-by').textContent = firstDefibrillation
+            ? firstDefibrillation.label
+            : 'No defibrillator found';
+        document.getElementById('definitive-care-time').textContent = definitiveCare
+            ? `${definitiveCare.minutes.toFixed(1)} min`
+            : '-';
+        document.getElementById('definitive-care-by').textContent = definitiveCare
+            ? (definitiveCare.byAmbulance ? 'Ambulance response, on scene, transport' : 'Own transport (no ambulance found)')
+            : 'No hospital found';
+    },
+
+    /**
+     * Show which fire service area covers the location, and warn when no fire
+     * station is counted as responding
+     */
+    updateFireServiceNotice() {
+        const service = this.fireService;
+        document.getElementById('fire-service-area').textContent = service ? service.label : '-';
+
+        const notice = document.getElementById('fire-service-notice');
+        if (!service || !['outside', 'unmatched'].includes(service.status)) {
+            notice.classList.add('hidden');
+            return;
+        }
+
+        const reference = service.reference
+            ? ` The nearest station, ${service.reference.properties.name || 'Unknown'} (${service.reference.distance.toFixed(1)} km straight line), is not counted as a responder.`
+            : '';
+        notice.textContent = (service.status === 'outside'
+            ? '🚒 This location is outside every fire service area: no fire department may be obliged to respond (e.g. an unorganized township).'
+            : `🚒 ${service.area} lists responding stations that are not in the facility data, so its response can't be timed.`) + reference;
+        notice.classList.remove('hidden');
+    },
+
+    /**
+     * Show the hospital's capabilities and why it was chosen as the destination
+     * @param {object} [facility] - Selected hospital
+     * @param {object} [route] - Route to it, with destination from RoutingService.selectHospital
+     */
+    updateHospitalDestination(facility, route) {
+        const capabilities = facility ? HospitalDestination.getCapabilities(facility) : [];
+        document.getElementById('hospital-capabilities').textContent = facility
+            ? (capabilities.join(' · ') || 'Not recorded')
+            : '-';
+        document.getElementById('hospital-destination').textContent = route && route.destination
+            ? route.destination.reason
+            : '-';
+    },
+
+    /**
+     * Warn when the location is only a postal code area centroid
+     */
+    updatePrecisionWarning() {
+        const warning = document.getElementById('precision-warning');
+        const source = this.locationSource;
+
+        if (!source || source.precision !== 'fsa') {
+            warning.classList.add('hidden');
+            return;
+        }
+
+        const area = source.postalCode ? ` ${source.postalCode}` : '';
+        warning.textContent = `⚠️ Only the postal code area${area} was found, so the pin is at the centre of that area ` +
+            'and may be many kilometres from the real address. Click the map at the exact location for a reliable assessment.';
+        warning.classList.remove('hidden');
+    },
+
     /**
      * Update facility card
      */
     updateFacilityCard(prefix, facility, route, stats) {
         if (!facility || !route || !stats) {
+            this.clearFacilityCard(prefix);
             return;
         }
 
         const name = facility.properties.name || 'Unknown';
         document.getElementById(`${prefix}-name`).textContent = name;
         document.getElementById(`${prefix}-distance`).textContent = `${route.distance.toFixed(2)} km`;
-        document.getElementById(`${prefix}-time`).textContent = `${stats.minutes} min`;
-        
+        const time = document.getElementById(`${prefix}-time`);
+        time.textContent = this.formatTravelTime(route, stats.travelMinutes);
+        time.title = route.emergency ? EmergencyProfile.describe(route.emergency) : '';
+        document.getElementById(`${prefix}-total`).textContent = `${stats.minutes} min`;
+        this.renderTimeline(document.getElementById(`${prefix}-timeline`), stats.timeline);
+
         const survivalElement = document.getElementById(`${prefix}-survival`);
         survivalElement.textContent = stats.survivalRate;
         survivalElement.className = `survival-rate ${stats.category}`;
@@ -247,6 +1167,92 @@ window.App = {
         badge.className = `time-badge ${stats.urgency}`;
     },
 
+    /**
+     * Travel time text; responder routes show the emergency and civilian times side by side
+     * @param {object} route - Route to the facility
+     * @param {string} minutes - Formatted travel minutes used in the assessment
+     * @returns {string} e.g. "6.2 min lights & sirens · 7.9 min civilian"
+     */
+    formatTravelTime(route, minutes) {
+        const time = `${route.estimated ? '~' : ''}${minutes} min`;
+        if (!route.emergency) {
+            return time;
+        }
+        return `${time} lights & sirens · ${route.civilianDuration.toFixed(1)} min civilian`;
+    },
+
+    /**
+     * Reset a facility card when no facility of that type was found
+     */
+    clearFacilityCard(prefix) {
+        document.getElementById(`${prefix}-name`).textContent = 'None found';
+        ['distance', 'time', 'total', 'survival'].forEach(field => {
+            const element = document.getElementById(`${prefix}-${field}`);
+            element.textContent = '-';
+        });
+        document.getElementById(`${prefix}-timeline`).innerHTML = '';
+        document.getElementById(`${prefix}-survival`).className = 'survival-rate';
+
+        const badge = document.getElementById(`${prefix}-time-badge`);
+        badge.textContent = '-';
+        badge.className = 'time-badge';
+    },
+
+    /**
+     * List the candidates that were compared but not selected
+     * @param {string} prefix - Card prefix
+     * @param {Array} [alternatives] - Unselected candidates with duration and distance
+     */
+    updateAlternatives(prefix, alternatives = []) {
+        const container = document.getElementById(`${prefix}-alternatives`);
+        if (alternatives.length === 0) {
+            container.classList.add('hidden');
+            container.innerHTML = '';
+            return;
+        }
+
+        const items = alternatives.map(alt => `
+            <li>
+                <span class="alternative-name">${MapManager.escape(alt.facility.properties.name || 'Unknown')}</span>
+                <span class="alternative-stats">
+                    ${alt.distance.toFixed(2)} km · ${alt.estimated ? '~' : ''}${alt.duration.toFixed(1)} min${
+                        alt.emergency ? ` (${alt.civilianDuration.toFixed(1)} min civilian)` : ''}
+                </span>
+            </li>
+        `).join('');
+
+        container.classList.remove('hidden');
+        container.innerHTML = `
+            <summary>Other candidates compared (${alternatives.length})</summary>
+            <ul>${items}</ul>
+        `;
+    },
+
+    /**
+     * Render a stacked timeline of response intervals
+     * @param {HTMLElement} container - Timeline container
+     * @param {object} timeline - Intervals and total from ResponseIntervals.compose
+     */
+    renderTimeline(container, timeline) {
+        const segments = timeline.intervals.map(interval => {
+            const widthPercent = timeline.total > 0 ? (interval.minutes / timeline.total) * 100 : 0;
+            return `<div class="timeline-segment" style="width: ${widthPercent}%; background: ${interval.color};"
+                         title="${interval.label}: ${interval.minutes.toFixed(1)} min"></div>`;
+        }).join('');
+
+        const legend = timeline.intervals.map(interval => `
+            <span class="timeline-legend-item">
+                <span class="timeline-swatch" style="background: ${interval.color};"></span>
+                ${interval.label} ${interval.minutes.toFixed(1)} min
+            </span>
+        `).join('');
+
+        container.innerHTML = `
+            <div class="timeline-bar">${segments}</div>
+            <div class="timeline-legend">${legend}</div>
+        `;
+    },
+
     /**
      * Update survival comparison chart
      */
@@ -255,20 +1261,26 @@ window.App = {
         chartContainer.innerHTML = '';
 
         const comparisonData = SurvivalCalculator.generateComparisonData(stats);
+        const curveLabels = SurvivalCalculator.getCurveLabels();
+
+        document.getElementById('survival-chart-legend').innerHTML = `
+            <span class="legend-item"><span class="legend-swatch selected"></span>${curveLabels.selected}</span>
+            <span class="legend-item"><span class="legend-swatch comparison"></span>${curveLabels.comparison}</span>
+        `;
 
         comparisonData.forEach(item => {
             const barDiv = document.createElement('div');
             barDiv.className = `survival-bar ${item.class}`;
 
-            const widthPercent = (item.survivalRate / 80) * 100; // Relative to baseline
+            // Responders show the selected scenario and the comparison curve side by side
+            const curves = item.comparisonSurvivalRate === undefined
+                ? this.renderSurvivalCurve(item.survivalRate, item.color)
+                : this.renderSurvivalCurve(item.survivalRate, item.color, curveLabels.selected) +
+                  this.renderSurvivalCurve(item.comparisonSurvivalRate, item.color, curveLabels.comparison, true);
 
             barDiv.innerHTML = `
                 <div class="survival-bar-label">${item.label}</div>
-                <div class="survival-bar-visual">
-                    <div class="survival-bar-fill" style="width: ${widthPercent}%; background: ${item.color};">
-                        ${item.survivalRate >= 20 ? item.survivalRate.toFixed(0) + '%' : ''}
-                    </div>
-                </div>
+                <div class="survival-bar-curves">${curves}</div>
                 <div class="survival-bar-value">
                     ${item.survivalRate.toFixed(0)}%
                     ${item.reduction ? `<div class="reduction-text">(-${item.reduction})</div>` : ''}
@@ -279,6 +1291,38 @@ window.App = {
         });
     },
 
+    /**
+     * Show the survival model and citation behind the results
+     */
+    updateModelInfo() {
+        const model = SurvivalCalculator.getModel();
+        document.getElementById('survival-baseline').textContent =
+            `${SurvivalCalculator.getBaselineSurvival().toFixed(0)}%`;
+        document.getElementById('model-name').textContent = model.name;
+        document.getElementById('model-formula').textContent = model.formula;
+        document.getElementById('model-citation').textContent = model.citation;
+    },
+
+    /**
+     * Render one survival bar for the comparison chart
+     * @param {number} survivalRate - Survival rate percentage
+     * @param {string} color - Fill color
+     * @param {string} [title] - Scenario name shown on hover
+     * @param {boolean} [isComparison] - Render as the secondary curve
+     * @returns {string} Bar HTML
+     */
+    renderSurvivalCurve(survivalRate, color, title = '', isComparison = false) {
+        const widthPercent = (survivalRate / SurvivalCalculator.getBaselineSurvival()) * 100; // Relative to baseline
+
+        return `
+            <div class="survival-bar-visual${isComparison ? ' comparison' : ''}" title="${title}">
+                <div class="survival-bar-fill" style="width: ${widthPercent}%; background: ${color};">
+                    ${survivalRate >= 20 ? survivalRate.toFixed(0) + '%' : ''}
+                </div>
+            </div>
+        `;
+    },
+
     /**
      * Show loading indicator
      */
@@ -0,0 +1,307 @@
+/**
+ * Batch Assessment Module
+ * Assesses many locations from a CSV file and exports the results
+ */
+
+const BatchAssessment = {
+    throttleMs: 1100, // Pause between rows, so a long CSV doesn't flood a public routing server
+    facilityTypes: ['aed', 'drone_aed', 'fire_station', 'ambulance_station', 'air_ambulance', 'hospital'],
+
+    // Accepted header names (lowercase) for each input column
+    columnAliases: {
+        name: ['name', 'label', 'site', 'id'],
+        address: ['address', 'location', 'street_address', 'full_address'],
+        lat: ['lat', 'latitude', 'y'],
+        lon: ['lon', 'lng', 'long', 'longitude', 'x']
+    },
+
+    /**
+     * Parse CSV text into rows of fields (RFC 4180 quoting)
+     * @param {string} text - CSV content
+     * @returns {Array<Array<string>>} Rows of fields
+     */
+    parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        // Drop blank lines
+        return rows.filter(r => r.some(value => value.trim() !== ''));
+    },
+
+    /**
+     * Turn CSV text into location records
+     * @param {string} text - CSV content with a header row
+     * @returns {Array} Records with name and either address or lat/lon
+     */
+    parseLocations(text) {
+        const [header, ...rows] = this.parseCSV(text);
+        if (!header) {
+            throw new Error('CSV file is empty');
+        }
+
+        const columns = this.detectColumns(header);
+        if (columns.address === -1 && (columns.lat === -1 || columns.lon === -1)) {
+            throw new Error('CSV needs an "address" column or "lat" and "lon" columns');
+        }
+
+        return rows.map((row, i) => {
+            const value = key => (columns[key] === -1 ? '' : (row[columns[key]] || '').trim());
+            const lat = parseFloat(value('lat'));
+            const lon = parseFloat(value('lon'));
+            const hasCoordinates = Number.isFinite(lat) && Number.isFinite(lon);
+
+            return {
+                row: i + 1,
+                name: value('name') || value('address') || `Row ${i + 1}`,
+                address: value('address'),
+                lat: hasCoordinates ? lat : null,
+                lon: hasCoordinates ? lon : null
+            };
+        });
+    },
+
+    /**
+     * Find the input columns in a header row
+     * @param {Array<string>} header - Header fields
+     * @returns {object} Column index per input (-1 if missing)
+     */
+    detectColumns(header) {
+        const normalized = header.map(h => h.trim().toLowerCase());
+        const columns = {};
+        Object.keys(this.columnAliases).forEach(key => {
+            columns[key] = normalized.findIndex(h => this.columnAliases[key].includes(h));
+        });
+        return columns;
+    },
+
+    /**
+     * Assess every location in turn, pausing between rows (geocoding requests are
+     * also spaced out by the shared rate limit in RequestManager, routing only
+     * when routing.minInterval is set)
+     * @param {Array} locations - Records from parseLocations
+     * @param {object} options - { date, onProgress(completed, total, result), isCancelled() }
+     * @returns {Promise<Array>} One result per location
+     */
+    async run(locations, { date = new Date(), onProgress = null, isCancelled = () => false } = {}) {
+        const results = [];
+
+        // Every location is assessed for the same time, so the same season
+        SeasonalConditions.set({ date });
+
+        for (const location of locations) {
+            if (isCancelled()) {
+                break;
+            }
+            if (results.length > 0) {
+                await this.delay(this.throttleMs);
+            }
+
+            const result = await this.assessLocation(location, date);
+            results.push(result);
+            if (onProgress) {
+                onProgress(results.length, locations.length, result);
+            }
+        }
+
+        return results;
+    },
+
+    /**
+     * Assess a single location
+     * @param {object} location - Record with name and address or lat/lon
+     * @param {Date} date - Time of the cardiac arrest
+     * @returns {Promise<object>} Result with facilities, routes and survival stats, or an error
+     */
+    async assessLocation(location, date) {
+        const result = {
+            ...location,
+            displayName: location.address,
+            geocoder: 'input',
+            precision: 'exact',
+            error: null
+        };
+
+        try {
+            if (result.lat === null) {
+                if (!location.address) {
+                    throw new Error('No address or coordinates');
+                }
+                const matches = await GeocodingService.searchAddress(location.address);
+                if (matches.length === 0) {
+                    throw new Error('Address not found');
+                }
+                result.lat = matches[0].lat;
+                result.lon = matches[0].lon;
+                result.displayName = matches[0].display_name;
+                result.geocoder = matches[0].provider;
+                result.precision = matches[0].precision;
+            }
+
+            const candidates = FacilitiesManager.findAllCandidateFacilities(
+                result.lat, result.lon, RoutingService.candidateCount, date
+            );
+            const { facilities, routes } = await RoutingService.calculateFastestRoutes(result.lat, result.lon, candidates);
+
+            result.facilities = facilities;
+            result.routes = routes;
+            result.stats = SurvivalCalculator.calculateAllSurvivalStats(routes, facilities);
+            result.estimated = Object.values(routes).some(route => route.estimated && route.mode !== 'walking');
+            result.season = SeasonalConditions.season;
+            result.fireService = FacilitiesManager.assignFireService(result.lat, result.lon, RoutingService.candidateCount);
+            result.launch = Object.values(routes).map(route => route.launch).find(Boolean) || null;
+        } catch (error) {
+            result.error = error.message;
+        }
+
+        return result;
+    },
+
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    },
+
+    /**
+     * Flatten a result into export columns
+     * @param {object} result - Result from assessLocation
+     * @returns {object} Column name to value
+     */
+    toRecord(result) {
+        const record = {
+            row: result.row,
+            name: result.name,
+            address: result.displayName || '',
+            lat: result.lat === null ? '' : result.lat.toFixed(6),
+            lon: result.lon === null ? '' : result.lon.toFixed(6),
+            geocoder: result.lat === null ? '' : result.geocoder,
+            geocode_precision: result.lat === null ? '' : result.precision,
+            estimated: result.error ? '' : String(result.estimated),
+            season: result.error ? '' : result.season,
+            water_access_launch: result.launch ? result.launch.name : '',
+            fire_service_area: result.fireService ? (result.fireService.area || '') : '',
+            fire_service_status: result.fireService ? result.fireService.status : '',
+            error: result.error || ''
+        };
+
+        const hospitalRoute = result.routes && result.routes.hospital;
+        record.hospital_cardiac_centre = hospitalRoute && hospitalRoute.destination ? String(hospitalRoute.destination.cardiacCentre) : '';
+        record.hospital_destination_reason = hospitalRoute && hospitalRoute.destination ? hospitalRoute.destination.reason : '';
+
+        const milestones = result.stats ? SurvivalCalculator.getMilestones(result.stats) : {};
+        record.first_defibrillation_min = milestones.firstDefibrillation ? milestones.firstDefibrillation.minutes.toFixed(1) : '';
+        record.first_defibrillation_by = milestones.firstDefibrillation ? milestones.firstDefibrillation.type : '';
+        record.definitive_care_min = milestones.definitiveCare ? milestones.definitiveCare.minutes.toFixed(1) : '';
+
+        this.facilityTypes.forEach(type => {
+            const facility = result.facilities && result.facilities[type];
+            const route = result.routes && result.routes[type];
+            const stat = result.stats && result.stats[type];
+            record[`${type}_name`] = facility ? (facility.properties.name || 'Unknown') : '';
+            record[`${type}_distance_km`] = route ? route.distance.toFixed(2) : '';
+            record[`${type}_travel_min`] = route ? route.duration.toFixed(1) : '';
+            record[`${type}_civilian_travel_min`] = route && route.emergency ? route.civilianDuration.toFixed(1) : '';
+            record[`${type}_last_mile_min`] = route && route.lastMile ? route.lastMile.duration.toFixed(1) : '';
+            record[`${type}_response_min`] = stat ? stat.minutes.toFixed(1) : '';
+            record[`${type}_survival_pct`] = stat ? stat.survivalRate.toFixed(1) : '';
+        });
+
+        return record;
+    },
+
+    /**
+     * Export results as CSV
+     * @param {Array} results - Results from run()
+     * @returns {string} CSV content
+     */
+    toCSV(results) {
+        const records = results.map(result => this.toRecord(result));
+        if (records.length === 0) {
+            return '';
+        }
+
+        const escape = value => {
+            const text = String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const columns = Object.keys(records[0]);
+        const lines = [columns.join(',')];
+        records.forEach(record => {
+            lines.push(columns.map(column => escape(record[column])).join(','));
+        });
+        return lines.join('\r\n') + '\r\n';
+    },
+
+    /**
+     * Export results as GeoJSON (rows without coordinates are skipped)
+     * @param {Array} results - Results from run()
+     * @returns {string} GeoJSON content
+     */
+    toGeoJSON(results) {
+        const features = results
+            .filter(result => result.lat !== null)
+            .map(result => ({
+                type: 'Feature',
+                geometry: {
+                    type: 'Point',
+                    coordinates: [result.lon, result.lat]
+                },
+                properties: this.toRecord(result)
+            }));
+
+        return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+    },
+
+    /**
+     * Offer content to the user as a file download
+     * @param {string} filename - Suggested file name
+     * @param {string} content - File content
+     * @param {string} mimeType - MIME type
+     */
+    download(filename, content, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+};
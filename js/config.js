@@ -0,0 +1,117 @@
+/**
+ * Application Configuration
+ * Deployment settings. Override them by defining window.AEDRiskConfig in a
+ * script that loads before this one, e.g.
+ *   <script>window.AEDRiskConfig = { embed: { allowedOrigins: ['https://example.org'] } };</script>
+ */
+
+const AppConfig = {
+    embed: {
+        // Origins allowed to control the app through postMessage.
+        // The app's own origin is always allowed; '*' allows any origin.
+        allowedOrigins: []
+    },
+
+    routing: {
+        // 'osrm', 'valhalla' or 'graphhopper' (see js/routing-providers.js)
+        provider: 'osrm',
+        // Public OSRM demo server; use a self-hosted instance in production
+        baseUrl: 'https://router.project-osrm.org',
+        profile: null, // Provider default: 'driving' (OSRM), 'auto' (Valhalla), 'car' (GraphHopper)
+        apiKey: null, // GraphHopper Directions API key
+        minInterval: 0, // Minimum ms between requests (0: no limit)
+        lastMileSpeed: 1.2 // m/s on foot from the road to a pin off the road (driveways, trails)
+    },
+
+    roads: {
+        // Cottage road speeds in km/h by category (see js/road-attributes.js),
+        // e.g. { unpaved: 50, track: 10 }; users can also edit them in the page
+        speeds: {}
+    },
+
+    seasons: {
+        // Months (0 = January) treated as winter when the season follows the assessment date
+        winterMonths: [11, 0, 1, 2],
+        // Winter speed multipliers by road category (see js/seasonal-conditions.js), e.g. { road: 0.85 }
+        winterSpeedFactors: {},
+        // Travel time multipliers by snow condition, e.g. { light: 1.2, heavy: 1.5 }
+        snowPenalties: {}
+    },
+
+    water: {
+        // Reach pins off the road network by boat (see js/water-access.js)
+        enabled: true,
+        // Launch points in addition to data/marinas.geojson, e.g. [{ name: 'Port Carling Wharf', lat: 45.118, lon: -79.577 }]
+        marinas: [],
+        boatSpeed: 30, // km/h
+        launchMinutes: 5, // To ready and board the boat
+        landingMeters: 100, // Walk from the landing to the patient
+        maxRoadDistance: 250, // m between the pin and the nearest road before a boat is considered
+        minRoadDetour: 2, // Road from the launch to the pin's nearest road vs the straight line, before the pin counts as cut off by water
+        maxCrossing: 15 // km, longest crossing considered
+    },
+
+    hospitals: {
+        // Where the ambulance takes the patient (see js/hospital-destination.js):
+        // 'pci' prefers a 24/7 PCI cardiac centre over a closer hospital, 'nearest' takes the fastest
+        rule: 'pci',
+        maxTransportMinutes: 60, // Longest transport to a cardiac centre before the nearest hospital is used
+        // Hospitals to treat as 24/7 PCI centres in addition to pci_24_7 in the facility data (ids or names)
+        cardiacCentres: []
+    },
+
+    air: {
+        // Air ambulance bases in data/air-ambulance-bases.geojson (see js/air-ambulance.js)
+        enabled: true,
+        // Overrides per aircraft type ('rotary' or 'fixed_wing'), e.g.
+        // { rotary: { cruiseSpeed: 260, launchMinutes: 12, landingMinutes: 5, maxDistance: 300, availability: 'day' } }
+        aircraft: {}
+    },
+
+    drones: {
+        // Drone-delivered AEDs from data/drone-bases.geojson and planned bases (see js/drone-aed.js)
+        enabled: true,
+        cruiseSpeed: 80, // km/h
+        launchMinutes: 1, // From dispatch to airborne
+        descentMinutes: 1, // Descent and lowering the AED
+        maxRange: 8, // km from the base
+        dropMeters: 30 // Drop point to the patient
+    },
+
+    emergency: {
+        // Time responder routes at lights-and-sirens speeds (see js/emergency-profile.js)
+        enabled: true,
+        speeds: {}, // km/h by road class, e.g. { primary: 95, local: 45 }
+        vehicles: {}, // Speed factors, e.g. { fire: 0.8, ambulance: 1.0 }
+        // Calibration from observed response times, e.g.
+        // [{ name: 'Muskoka', bounds: { south: 44.7, west: -80.1, north: 45.5, east: -78.9 }, factor: 1.15 }]
+        regions: []
+    },
+
+    geocoding: {
+        // 'nominatim' or 'photon' (see js/geocoding-providers.js)
+        provider: 'nominatim',
+        // Public Nominatim server (max 1 request/second); Photon: 'https://photon.komoot.io'
+        baseUrl: 'https://nominatim.openstreetmap.org',
+        minInterval: 1000 // Minimum ms between requests, per the Nominatim usage policy
+    },
+
+    /**
+     * Merge overrides into the configuration, one section at a time
+     * @param {object} overrides - Partial configuration
+     */
+    apply(overrides) {
+        Object.keys(overrides || {}).forEach(section => {
+            const value = overrides[section];
+            if (this[section] && typeof this[section] === 'object' && !Array.isArray(value)) {
+                Object.assign(this[section], value);
+            } else {
+                this[section] = value;
+            }
+        });
+    }
+};
+
+if (typeof window !== 'undefined' && window.AEDRiskConfig) {
+    AppConfig.apply(window.AEDRiskConfig);
+}
@@ -0,0 +1,166 @@
+/**
+ * Coverage Worker
+ * Estimates response time and survival on a grid of points off the main
+ * thread, reusing the facility, routing and survival modules
+ *
+ * Messages in:  { type: 'compute', requestId, bounds, rows, cols, facilities, serviceAreas, settings }
+ * Messages out: { type: 'progress', requestId, completed, total }
+ *               { type: 'result', requestId, cells, estimated }
+ *               { type: 'error', requestId, message }
+ */
+
+importScripts(
+    'spatial-index.js',
+    'facilities.js',
+    'request-manager.js',
+    'routing-providers.js',
+    'seasonal-conditions.js',
+    'emergency-profile.js',
+    'routing.js',
+    'response-intervals.js',
+    'survival-models.js',
+    'survival.js'
+);
+
+const CoverageWorker = {
+    // Responders that arrive with a defibrillator
+    responderTypes: ['fire_station', 'ambulance_station'],
+    candidatesPerPoint: 2,
+    batchSize: 40, // Grid points per table request
+    maxTableCoordinates: 100, // Public OSRM table limit
+    matrixAvailable: true,
+
+    /**
+     * Compute coverage for every grid point in the bounds
+     * @param {object} request - Compute message
+     */
+    async compute({ requestId, bounds, rows, cols, facilities, serviceAreas, settings }) {
+        FacilitiesManager.setFacilities(facilities);
+        FacilitiesManager.setServiceAreas(serviceAreas || []);
+        RoutingService.configure(settings.routing);
+        RoutingService.offline = settings.offline;
+        EmergencyProfile.configure(settings.emergency);
+        SeasonalConditions.configure(settings.seasons);
+        // The main thread already resolved the season from the assessment date
+        SeasonalConditions.set({ mode: settings.seasons.season, snow: settings.seasons.snow });
+        SurvivalCalculator.setModel(settings.modelId);
+        SurvivalCalculator.scenario = settings.scenario;
+        this.matrixAvailable = true;
+
+        const points = this.buildGrid(bounds, rows, cols);
+        const cells = [];
+
+        for (let i = 0; i < points.length; i += this.batchSize) {
+            const batch = points.slice(i, i + this.batchSize);
+            cells.push(...await this.computeBatch(batch));
+            postMessage({ type: 'progress', requestId, completed: cells.length, total: points.length });
+        }
+
+        postMessage({
+            type: 'result',
+            requestId: requestId,
+            cells: cells.filter(cell => cell.minutes !== null),
+            estimated: !this.matrixAvailable
+        });
+    },
+
+    /**
+     * Build cell centre points covering the bounds
+     * @param {object} bounds - { south, west, north, east }
+     * @param {number} rows - Grid rows
+     * @param {number} cols - Grid columns
+     * @returns {Array} Points with lat/lon
+     */
+    buildGrid(bounds, rows, cols) {
+        const dLat = (bounds.north - bounds.south) / rows;
+        const dLon = (bounds.east - bounds.west) / cols;
+        const points = [];
+
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                points.push({
+                    lat: bounds.south + (row + 0.5) * dLat,
+                    lon: bounds.west + (col + 0.5) * dLon
+                });
+            }
+        }
+        return points;
+    },
+
+    /**
+     * Find the fastest defibrillator-carrying responder for a batch of points
+     * @param {Array} points - Grid points
+     * @returns {Promise<Array>} Cell results
+     */
+    async computeBatch(points) {
+        const best = points.map(() => null);
+
+        for (const type of this.responderTypes) {
+            // Fire stations respond by service area, not distance
+            const candidates = points.map(p => (type === 'fire_station'
+                ? FacilitiesManager.assignFireService(p.lat, p.lon, this.candidatesPerPoint).stations
+                : FacilitiesManager.findNearestFacilities(p.lat, p.lon, type, this.candidatesPerPoint)
+            ));
+
+            // One table request for the batch, against every candidate it needs
+            const destinations = [];
+            const destinationIndex = new Map();
+            candidates.flat().forEach(facility => {
+                const key = `${facility.lon},${facility.lat}`;
+                if (!destinationIndex.has(key)) {
+                    destinationIndex.set(key, destinations.length);
+                    destinations.push(facility);
+                }
+            });
+
+            let matrix = null;
+            if (this.matrixAvailable && destinations.length > 0 &&
+                points.length + destinations.length <= this.maxTableCoordinates) {
+                matrix = await RoutingService.calculateMatrix(points, destinations);
+                if (!matrix) {
+                    // Don't keep hammering an unavailable table service
+                    this.matrixAvailable = false;
+                }
+            }
+
+            points.forEach((point, i) => {
+                candidates[i].forEach(facility => {
+                    const j = destinationIndex.get(`${facility.lon},${facility.lat}`);
+                    const cell = matrix && RoutingService.applyEmergencyProfileToCell(matrix[i][j], type, point.lat, point.lon);
+                    const route = cell || RoutingService.estimateRoute(point.lat, point.lon, facility.lat, facility.lon);
+                    const minutes = ResponseIntervals.compose(type, facility, route).total;
+
+                    if (!best[i] || minutes < best[i].minutes) {
+                        best[i] = { minutes, type, estimated: !cell };
+                    }
+                });
+            });
+        }
+
+        return points.map((point, i) => {
+            if (!best[i]) {
+                return { ...point, minutes: null };
+            }
+            const { minutes, type, estimated } = best[i];
+            return {
+                ...point,
+                minutes: minutes,
+                responder: type,
+                estimated: estimated,
+                survivalRate: SurvivalCalculator.calculateSurvivalRate(minutes),
+                urgency: SurvivalCalculator.getUrgencyLevel(minutes)
+            };
+        });
+    }
+};
+
+self.addEventListener('message', async (e) => {
+    if (e.data.type !== 'compute') {
+        return;
+    }
+    try {
+        await CoverageWorker.compute(e.data);
+    } catch (error) {
+        postMessage({ type: 'error', requestId: e.data.requestId, message: error.message });
+    }
+});
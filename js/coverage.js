@@ -0,0 +1,93 @@
+/**
+ * Coverage Module
+ * Runs the response-time coverage grid in a Web Worker so the UI stays responsive
+ */
+
+const CoverageService = {
+    workerUrl: 'js/coverage-worker.js',
+    worker: null,
+    requestId: 0,
+    gridColumns: 20, // Rows follow the viewport aspect ratio
+
+    /**
+     * Compute coverage for a map viewport
+     * @param {object} bounds - { south, west, north, east }
+     * @param {number} aspectRatio - Viewport height / width in pixels
+     * @param {Function} [onProgress] - Called with (completed, total)
+     * @returns {Promise<object>} { cells, cellSize: { lat, lon }, estimated }
+     */
+    compute(bounds, aspectRatio, onProgress = null) {
+        if (typeof Worker === 'undefined') {
+            return Promise.reject(new Error('Web Workers are not supported in this browser'));
+        }
+
+        // Only one grid at a time; a new request abandons the previous one
+        this.cancel();
+        this.worker = new Worker(this.workerUrl);
+        const requestId = ++this.requestId;
+
+        const cols = this.gridColumns;
+        const rows = Math.max(1, Math.round(cols * aspectRatio));
+        const cellSize = {
+            lat: (bounds.north - bounds.south) / rows,
+            lon: (bounds.east - bounds.west) / cols
+        };
+
+        const facilities = [
+            ...FacilitiesManager.getFacilitiesByType('fire_station'),
+            ...FacilitiesManager.getFacilitiesByType('ambulance_station')
+        ];
+
+        return new Promise((resolve, reject) => {
+            this.worker.addEventListener('message', (e) => {
+                const message = e.data;
+                if (message.requestId !== requestId) {
+                    return;
+                }
+
+                if (message.type === 'progress' && onProgress) {
+                    onProgress(message.completed, message.total);
+                } else if (message.type === 'result') {
+                    this.cancel();
+                    resolve({ cells: message.cells, cellSize, estimated: message.estimated });
+                } else if (message.type === 'error') {
+                    this.cancel();
+                    reject(new Error(message.message));
+                }
+            });
+
+            this.worker.addEventListener('error', (e) => {
+                this.cancel();
+                reject(new Error(e.message || 'Coverage worker failed'));
+            });
+
+            this.worker.postMessage({
+                type: 'compute',
+                requestId: requestId,
+                bounds: bounds,
+                rows: rows,
+                cols: cols,
+                facilities: facilities,
+                serviceAreas: FacilitiesManager.serviceAreas,
+                settings: {
+                    routing: RoutingService.getConfig(),
+                    offline: RoutingService.offline,
+                    emergency: EmergencyProfile.getConfig(),
+                    seasons: SeasonalConditions.getConfig(),
+                    modelId: SurvivalCalculator.modelId,
+                    scenario: SurvivalCalculator.scenario
+                }
+            });
+        });
+    },
+
+    /**
+     * Stop any running computation
+     */
+    cancel() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+};
@@ -0,0 +1,118 @@
+/**
+ * Drone AED Module
+ * Drones that fly an AED from a base to the patient, where a bystander
+ * fetches it from the drop point. A flight is the straight-line distance at
+ * cruise speed, after the launch and followed by the descent and release.
+ *
+ * Bases are facilities of type 'drone_aed' (data/drone-bases.geojson), plus
+ * planned bases placed on the map in planning mode (kept for the session only).
+ *
+ * Configured through AppConfig.drones:
+ *   enabled        - false to leave drone AEDs out of the assessment
+ *   cruiseSpeed    - km/h
+ *   launchMinutes  - from dispatch to airborne
+ *   descentMinutes - descent and lowering the AED at the drop point
+ *   maxRange       - km from the base
+ *   dropMeters     - drop point to the patient, walked there and back by the bystander
+ */
+
+const DroneAED = {
+    enabled: true,
+    cruiseSpeed: 80,
+    launchMinutes: 1,
+    descentMinutes: 1,
+    maxRange: 8,
+    dropMeters: 30,
+    handlingMinutes: 0.5, // Unclipping the AED from its release
+    plannedBases: [],
+
+    /**
+     * Apply settings from AppConfig.drones
+     * @param {object} config - { enabled, cruiseSpeed, launchMinutes, descentMinutes, maxRange, dropMeters }
+     */
+    configure({ enabled = true, ...settings } = {}) {
+        this.enabled = enabled;
+        ['cruiseSpeed', 'launchMinutes', 'descentMinutes', 'maxRange', 'dropMeters'].forEach(key => {
+            if (typeof settings[key] === 'number') {
+                this[key] = settings[key];
+            }
+        });
+    },
+
+    /**
+     * Place a planned base
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @returns {object} Base feature with lat and lon
+     */
+    addPlannedBase(lat, lon) {
+        const base = {
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [lon, lat] },
+            properties: { type: 'drone_aed', name: `Planned drone base ${this.plannedBases.length + 1}`, planned: true },
+            lat: lat,
+            lon: lon
+        };
+        this.plannedBases.push(base);
+        return base;
+    },
+
+    clearPlannedBases() {
+        this.plannedBases = [];
+    },
+
+    /**
+     * Find the existing and planned bases within range of a location
+     * @param {number} lat - Patient latitude
+     * @param {number} lon - Patient longitude
+     * @returns {Array} Bases with distance, nearest first
+     */
+    findBasesInRange(lat, lon) {
+        if (!this.enabled) {
+            return [];
+        }
+        const existing = FacilitiesManager.findFacilitiesWithinRadius(lat, lon, 'drone_aed', this.maxRange);
+        const planned = this.plannedBases
+            .map(base => ({ ...base, distance: FacilitiesManager.calculateDistance(lat, lon, base.lat, base.lon) }))
+            .filter(base => base.distance <= this.maxRange);
+        return [...existing, ...planned].sort((a, b) => a.distance - b.distance);
+    },
+
+    /**
+     * Plan the flight from a base to the patient
+     * @param {object} base - Drone base with lat and lon
+     * @param {number} lat - Patient latitude
+     * @param {number} lon - Patient longitude
+     * @returns {object} Route { mode 'drone', distance (km), duration (min of flight and descent),
+     *     launchMinutes, flightMinutes, descentMinutes, retrievalMinutes, geometry, estimated: false }
+     */
+    planFlight(base, lat, lon) {
+        const distance = FacilitiesManager.calculateDistance(base.lat, base.lon, lat, lon);
+        const flightMinutes = (distance / this.cruiseSpeed) * 60;
+
+        return {
+            mode: 'drone',
+            distance: distance,
+            duration: flightMinutes + this.descentMinutes,
+            launchMinutes: this.launchMinutes,
+            flightMinutes: flightMinutes,
+            descentMinutes: this.descentMinutes,
+            // The bystander leaves the patient, fetches the AED and comes back
+            retrievalMinutes: this.handlingMinutes + (this.dropMeters * 2) / RoutingService.walkingSpeed / 60,
+            geometry: { type: 'LineString', coordinates: [[base.lon, base.lat], [lon, lat]] },
+            estimated: false
+        };
+    },
+
+    /**
+     * Explain the flight model (map popup, results notice and report)
+     * @param {object} route - Route from planFlight
+     * @returns {string} Sentence
+     */
+    describe(route) {
+        return `Drone: ${route.launchMinutes.toFixed(1)} min to launch, ` +
+            `${route.distance.toFixed(1)} km straight line at ${this.cruiseSpeed} km/h in ${route.flightMinutes.toFixed(1)} min, ` +
+            `${route.descentMinutes.toFixed(1)} min to descend and release; a bystander fetches it from ` +
+            `${this.dropMeters} m away in ${route.retrievalMinutes.toFixed(1)} min`;
+    }
+};
@@ -0,0 +1,275 @@
+/**
+ * Embed API Module
+ * Versioned postMessage protocol that lets an iframe host drive the app
+ *
+ * Messages in:  { protocol: 'aedrisk', version: 1, type: 'setLocation', id?, payload: { lat, lon, name? } }
+ *               { protocol: 'aedrisk', version: 1, type: 'setAddress', id?, payload: { address } }
+ *               { protocol: 'aedrisk', version: 1, type: 'setOptions', id?, payload: { time, cpr, cprStart, model, floor, driveway, season, snow } }
+ * Messages out: { protocol: 'aedrisk', version: 1, type: 'ready', payload: { commands } }
+ *               { protocol: 'aedrisk', version: 1, type: 'resultsReady', requestId?, payload: { location, address, facilities, routes, survival, milestones, model, fireService, conditions } }
+ *               { protocol: 'aedrisk', version: 1, type: 'error', requestId?, payload: { code, message } }
+ *               { protocol: 'aedrisk', version: 1, type: 'resize', payload: { height } }
+ */
+
+const EmbedAPI = {
+    protocol: 'aedrisk',
+    version: 1,
+    commands: ['setLocation', 'setAddress', 'setOptions'],
+    hostOrigin: null, // Set by the first accepted message
+    pendingRequestId: null,
+    lastHeight: 0,
+
+    /**
+     * Start listening for host commands when running inside an iframe
+     */
+    init() {
+        if (!this.isEmbedded()) {
+            return;
+        }
+
+        window.addEventListener('message', (e) => this.handleMessage(e));
+        this.observeHeight();
+        this.post('ready', { commands: this.commands });
+    },
+
+    isEmbedded() {
+        return window.parent !== window;
+    },
+
+    /**
+     * Check an origin against the configured allow-list
+     * @param {string} origin - Message origin
+     * @returns {boolean} True if the origin may control the app
+     */
+    isAllowedOrigin(origin) {
+        const allowed = AppConfig.embed.allowedOrigins;
+        return origin === window.location.origin || allowed.includes('*') || allowed.includes(origin);
+    },
+
+    /**
+     * Validate and dispatch a message from the host page
+     */
+    async handleMessage(e) {
+        const message = e.data;
+        if (!message || message.protocol !== this.protocol || e.source !== window.parent) {
+            return;
+        }
+        if (!this.isAllowedOrigin(e.origin)) {
+            console.warn(`Ignoring embed command from disallowed origin ${e.origin}`);
+            return;
+        }
+        this.hostOrigin = e.origin;
+
+        if (message.version !== this.version) {
+            this.notifyError(`Unsupported protocol version ${message.version}; expected ${this.version}`,
+                'unsupported_version', message.id);
+            return;
+        }
+        if (!this.commands.includes(message.type)) {
+            this.notifyError(`Unknown command ${message.type}`, 'unknown_command', message.id);
+            return;
+        }
+
+        this.pendingRequestId = message.id === undefined ? null : message.id;
+        try {
+            await this.runCommand(message.type, message.payload || {});
+        } catch (error) {
+            this.notifyError(error.message, 'command_failed');
+        } finally {
+            this.pendingRequestId = null;
+        }
+    },
+
+    /**
+     * Run a host command
+     * @param {string} type - Command name
+     * @param {object} payload - Command arguments
+     */
+    async runCommand(type, payload) {
+        switch (type) {
+            case 'setLocation': {
+                const lat = Number(payload.lat);
+                const lon = Number(payload.lon);
+                if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+                    throw new Error('setLocation needs numeric lat and lon');
+                }
+                if (payload.name) {
+                    document.getElementById('address-input').value = payload.name;
+                }
+                await App.onLocationSelected(lat, lon, payload.name || null, 'replace');
+                break;
+            }
+
+            case 'setAddress': {
+                if (!payload.address) {
+                    throw new Error('setAddress needs an address');
+                }
+                const matches = await GeocodingService.searchAddress(payload.address);
+                if (matches.length === 0) {
+                    throw new Error(`Address not found: ${payload.address}`);
+                }
+                document.getElementById('address-input').value = matches[0].display_name;
+                await App.onLocationSelected(matches[0].lat, matches[0].lon, matches[0].display_name, 'replace', matches[0]);
+                break;
+            }
+
+            case 'setOptions':
+                App.applyOptions({
+                    ...App.getPermalinkState(),
+                    ...payload,
+                    cprStart: payload.cprStart === undefined ? undefined : Number(payload.cprStart),
+                    floor: payload.floor === undefined ? ResponseIntervals.patientAccess.floor : Number(payload.floor),
+                    driveway: payload.driveway === undefined ? ResponseIntervals.patientAccess.drivewayMeters : Number(payload.driveway)
+                });
+                if ((payload.time || payload.season || payload.snow) && App.selectedLocation) {
+                    // AED access hours and road conditions depend on these, so re-run the assessment
+                    await App.rerunAssessment();
+                } else {
+                    App.refreshSurvivalResults();
+                }
+                break;
+        }
+    },
+
+    /**
+     * Post an event to the host page
+     * @param {string} type - Event name
+     * @param {object} payload - Event data
+     * @param {string} [requestId] - Host request id the event answers
+     */
+    post(type, payload, requestId = null) {
+        if (!this.isEmbedded()) {
+            return;
+        }
+
+        const message = { protocol: this.protocol, version: this.version, type, payload };
+        if (requestId !== null && requestId !== undefined) {
+            message.requestId = requestId;
+        }
+
+        // Until the host has spoken, announce to every configured origin
+        const allowed = AppConfig.embed.allowedOrigins;
+        const targets = this.hostOrigin
+            ? [this.hostOrigin]
+            : (allowed.includes('*') ? ['*'] : [window.location.origin, ...allowed]);
+        targets.forEach(origin => window.parent.postMessage(message, origin));
+    },
+
+    /**
+     * Send assessment results to the host
+     * @param {object} data - { location, source, fireService, address, facilities, routes, stats }
+     */
+    notifyResults(data) {
+        if (!this.isEmbedded()) {
+            return;
+        }
+        this.post('resultsReady', this.serializeResults(data), this.pendingRequestId);
+    },
+
+    /**
+     * Send an error to the host
+     * @param {string} message - Error description
+     * @param {string} [code] - Machine-readable error code
+     * @param {string} [requestId] - Host request id the error answers
+     */
+    notifyError(message, code = 'assessment_failed', requestId = this.pendingRequestId) {
+        this.post('error', { code, message }, requestId);
+    },
+
+    /**
+     * Reduce assessment results to plain, cloneable data
+     * @param {object} data - { location, source, fireService, address, facilities, routes, stats }
+     * @returns {object} resultsReady payload
+     */
+    serializeResults({ location, source, fireService, address, facilities, routes, stats }) {
+        const model = SurvivalCalculator.getModel();
+        const result = {
+            location: {
+                lat: location.lat,
+                lon: location.lon,
+                provider: source ? source.provider : null,
+                precision: source ? source.precision : null
+            },
+            address: address,
+            facilities: {},
+            routes: {},
+            survival: {},
+            milestones: SurvivalCalculator.getMilestones(stats),
+            model: { id: model.id, name: model.name, citation: model.citation },
+            scenario: { ...SurvivalCalculator.scenario },
+            fireService: fireService
+                ? { status: fireService.status, area: fireService.area, label: fireService.label }
+                : null,
+            conditions: {
+                season: SeasonalConditions.season,
+                mode: SeasonalConditions.mode,
+                snow: SeasonalConditions.snow,
+                assumptions: SeasonalConditions.describe()
+            }
+        };
+
+        Object.keys(facilities).forEach(type => {
+            const facility = facilities[type];
+            const route = routes[type];
+            const stat = stats[type];
+            if (!facility || !route || !stat) {
+                result.facilities[type] = null;
+                return;
+            }
+
+            result.facilities[type] = {
+                name: facility.properties.name || 'Unknown',
+                address: facility.properties.address || null,
+                lat: facility.lat,
+                lon: facility.lon,
+                capabilities: type === 'hospital' ? HospitalDestination.getCapabilities(facility) : null
+            };
+            result.routes[type] = {
+                distance: route.distance,
+                duration: route.duration,
+                civilianDuration: route.emergency ? route.civilianDuration : route.duration,
+                emergency: route.emergency || null,
+                slowSegments: route.slowSegments || [],
+                seasonalClosures: route.seasonalClosures || [],
+                mode: route.mode || 'drive',
+                aircraft: route.aircraft || null,
+                launch: route.launch || null,
+                stages: route.stages || null,
+                lastMile: route.lastMile || null,
+                destination: route.destination || null,
+                estimated: !!route.estimated,
+                geometry: route.geometry || null
+            };
+            result.survival[type] = {
+                survivalRate: stat.survivalRate,
+                comparisonSurvivalRate: stat.comparisonSurvivalRate,
+                minutes: stat.minutes,
+                travelMinutes: stat.travelMinutes,
+                intervals: stat.timeline.intervals.map(({ key, minutes }) => ({ key, minutes })),
+                urgency: stat.urgency
+            };
+        });
+
+        return result;
+    },
+
+    /**
+     * Report the content height whenever it changes so the host can size the iframe
+     */
+    observeHeight() {
+        const report = () => {
+            const height = document.documentElement.scrollHeight;
+            if (height !== this.lastHeight) {
+                this.lastHeight = height;
+                this.post('resize', { height });
+            }
+        };
+
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(report).observe(document.body);
+        } else {
+            window.addEventListener('resize', report);
+        }
+        report();
+    }
+};
@@ -0,0 +1,160 @@
+/**
+ * Emergency Vehicle Profile
+ * Lights-and-sirens travel speeds by road class, used instead of civilian car
+ * times for responders driving to the patient. Road classes are inferred from
+ * routing steps (OSRM intersection classes and the step's routed speed), so no
+ * road-name guessing is involved.
+ *
+ * Configured through AppConfig.emergency:
+ *   enabled  - false to use civilian times for every responder
+ *   speeds   - { roadClassId: km/h } overrides of the speed table
+ *   vehicles - { vehicleId: speed factor } overrides, e.g. { fire: 0.85 }
+ *   regions  - [{ name, bounds: { south, west, north, east }, factor }] calibration,
+ *              factor = observed / modelled travel time (first matching region wins)
+ */
+
+const EmergencyProfile = {
+    enabled: true,
+
+    // Fastest first. minSpeed is the routed civilian speed (km/h) from which a step
+    // counts as that class (OSRM car profile: motorway 90, primary 65, secondary 55,
+    // tertiary 40, residential 25, service 15); speed is the lights-and-sirens speed.
+    roadClasses: [
+        { id: 'motorway', label: 'Motorway', minSpeed: 80, speed: 110 },
+        { id: 'primary', label: 'Highway / arterial', minSpeed: 58, speed: 90 },
+        { id: 'secondary', label: 'Secondary road', minSpeed: 45, speed: 75 },
+        { id: 'tertiary', label: 'Collector road', minSpeed: 30, speed: 60 },
+        { id: 'local', label: 'Local street', minSpeed: 18, speed: 40 },
+        { id: 'service', label: 'Lane / service road', minSpeed: 0, speed: 20 }
+    ],
+
+    // Speed factors applied to the table (heavier apparatus brakes and corners slower)
+    vehicles: {
+        ambulance: { label: 'Ambulance', factor: 1.0 },
+        fire: { label: 'Fire apparatus', factor: 0.85 }
+    },
+
+    // Which vehicle responds from each facility type; others use civilian times.
+    // Patients reach hospital by ambulance (see RoutingService.buildEmsChain).
+    responders: {
+        fire_station: 'fire',
+        ambulance_station: 'ambulance',
+        hospital: 'ambulance'
+    },
+
+    regions: [],
+
+    /**
+     * Apply settings from AppConfig.emergency
+     * @param {object} config - { enabled, speeds, vehicles, regions }
+     */
+    configure({ enabled = true, speeds = {}, vehicles = {}, regions = [] } = {}) {
+        this.enabled = enabled;
+        this.roadClasses.forEach(roadClass => {
+            if (typeof speeds[roadClass.id] === 'number') {
+                roadClass.speed = speeds[roadClass.id];
+            }
+        });
+        Object.keys(vehicles).forEach(id => {
+            if (this.vehicles[id] && typeof vehicles[id] === 'number') {
+                this.vehicles[id].factor = vehicles[id];
+            }
+        });
+        this.regions = regions;
+    },
+
+    /**
+     * Get the current settings in configure() form (passed to the coverage worker)
+     * @returns {object} { enabled, speeds, vehicles, regions }
+     */
+    getConfig() {
+        const speeds = {};
+        this.roadClasses.forEach(roadClass => {
+            speeds[roadClass.id] = roadClass.speed;
+        });
+        const vehicles = {};
+        Object.keys(this.vehicles).forEach(id => {
+            vehicles[id] = this.vehicles[id].factor;
+        });
+        return { enabled: this.enabled, speeds, vehicles, regions: this.regions };
+    },
+
+    /**
+     * Get the emergency vehicle responding from a facility type
+     * @param {string} type - Facility type
+     * @returns {object|null} { id, label, factor }, or null for civilian travel
+     */
+    getVehicle(type) {
+        const id = this.responders[type];
+        if (!this.enabled || !id || !this.vehicles[id]) {
+            return null;
+        }
+        return { id, ...this.vehicles[id] };
+    },
+
+    /**
+     * Find the calibration region containing a point
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @returns {object|null} Region, or null outside every region
+     */
+    getRegion(lat, lon) {
+        return this.regions.find(({ bounds }) =>
+            lat >= bounds.south && lat <= bounds.north && lon >= bounds.west && lon <= bounds.east
+        ) || null;
+    },
+
+    /**
+     * Classify a road by its routed civilian speed
+     * @param {number} speed - km/h
+     * @returns {object} Road class
+     */
+    classifySpeed(speed) {
+        return this.roadClasses.find(roadClass => speed >= roadClass.minSpeed) ||
+            this.roadClasses[this.roadClasses.length - 1];
+    },
+
+    /**
+     * Classify the road a routing step runs on
+     * @param {object} step - Route step { distance (m), duration (s), intersections, roadClass }
+     * @returns {object} Road class
+     */
+    classifyStep(step) {
+        // Adapters that know the OSM highway class can set it directly
+        const known = this.roadClasses.find(roadClass => roadClass.id === step.roadClass);
+        if (known) {
+            return known;
+        }
+
+        const classes = (step.intersections || []).flatMap(intersection => intersection.classes || []);
+        if (classes.includes('motorway')) {
+            return this.roadClasses[0];
+        }
+
+        const speed = step.duration > 0 ? (step.distance / step.duration) * 3.6 : 0;
+        return this.classifySpeed(speed);
+    },
+
+    /**
+     * Minutes for an emergency vehicle to cover a distance on a road class
+     * @param {number} meters - Distance
+     * @param {object} roadClass - Road class
+     * @param {object} vehicle - Vehicle from getVehicle
+     * @returns {number} Minutes
+     */
+    travelMinutes(meters, roadClass, vehicle) {
+        return (meters / 1000) / (roadClass.speed * vehicle.factor) * 60;
+    },
+
+    /**
+     * Explain which profile timed a route
+     * @param {object} emergency - route.emergency from RoutingService.applyEmergencyProfile
+     * @returns {string} e.g. "Fire apparatus speeds by road class, calibrated for Muskoka (×1.15)"
+     */
+    describe(emergency) {
+        const calibration = emergency.region
+            ? `, calibrated for ${emergency.region} (×${emergency.calibration})`
+            : '';
+        return `${emergency.label} speeds by road class${calibration}`;
+    }
+};
@@ -6,40 +6,109 @@
 const FacilitiesManager = {
     facilities: null,
     loaded: false,
+    facilitiesByType: {},
+    indexes: {}, // Spatial index per facility type
+    dataTimestamps: {}, // Last-Modified of each data source, when the server reports it
+
+    // GeoJSON sources loaded at startup (public AEDs, air ambulance and drone bases are kept in their own files)
+    dataSources: [
+        'data/ontario-facilities.geojson',
+        'data/ontario-aeds.geojson',
+        'data/air-ambulance-bases.geojson',
+        'data/drone-bases.geojson'
+    ],
+
+    // Fire service area polygons; each lists the stations dispatched to it
+    serviceAreasUrl: 'data/fire-service-areas.geojson',
+    serviceAreas: [],
+
+    // Maximum straight-line distance (km) a bystander would go to fetch an AED
+    aedSearchRadius: 2,
+    unknownHoursNote: 'Indoor AEDs without access hours are not counted, as their building may be closed',
+
+    // OSM opening_hours day abbreviations, indexed like Date.getDay()
+    dayCodes: ['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa'],
 
     /**
-     * Load facility data from GeoJSON file
+     * Load facility data from all GeoJSON sources
      */
     async loadFacilities() {
+        const results = await Promise.all(
+            this.dataSources.map(url => this.loadGeoJSON(url))
+        );
+        this.setFacilities(results.flat());
+        console.log(`Loaded ${this.facilities.length} facilities`);
+        return this.facilities;
+    },
+
+    /**
+     * Replace the facility list and rebuild the per-type spatial indexes
+     * @param {Array} features - GeoJSON Point features
+     */
+    setFacilities(features) {
+        this.facilities = features.filter(f => f.geometry && f.geometry.type === 'Point');
+        this.facilitiesByType = {};
+        this.facilities.forEach(facility => {
+            const type = facility.properties.type;
+            (this.facilitiesByType[type] = this.facilitiesByType[type] || []).push(facility);
+        });
+
+        this.indexes = {};
+        Object.keys(this.facilitiesByType).forEach(type => {
+            this.indexes[type] = SpatialIndex.build(this.facilitiesByType[type]);
+        });
+        this.loaded = true;
+    },
+
+    /**
+     * Load features from a single GeoJSON file
+     * @param {string} url - GeoJSON file URL
+     * @returns {Promise<Array>} Features, or an empty array if loading fails
+     */
+    async loadGeoJSON(url) {
         try {
-            const response = await fetch('data/ontario-facilities.geojson');
+            const response = await fetch(url);
             if (!response.ok) {
-                throw new Error('Failed to load facilities data');
+                throw new Error(`Failed to load ${url}`);
             }
+            this.dataTimestamps[url] = response.headers.get('Last-Modified');
             const data = await response.json();
-            this.facilities = data.features;
-            this.loaded = true;
-            console.log(`Loaded ${this.facilities.length} facilities`);
-            return this.facilities;
+            return data.features || [];
         } catch (error) {
             console.error('Error loading facilities:', error);
             // Return empty array as fallback
-            this.facilities = [];
-            this.loaded = true;
-            return this.facilities;
+            return [];
         }
     },
 
+    /**
+     * Load the fire service area polygons
+     */
+    async loadServiceAreas() {
+        this.setServiceAreas(await this.loadGeoJSON(this.serviceAreasUrl));
+        console.log(`Loaded ${this.serviceAreas.length} fire service areas`);
+        return this.serviceAreas;
+    },
+
+    /**
+     * Replace the fire service areas
+     * @param {Array} features - GeoJSON Polygon or MultiPolygon features with
+     *     name and stations (facility ids or names) properties
+     */
+    setServiceAreas(features) {
+        this.serviceAreas = features.filter(f => f.geometry && ['Polygon', 'MultiPolygon'].includes(f.geometry.type));
+    },
+
     /**
      * Get facilities by type
-     * @param {string} type - Facility type (fire_station, hospital, ambulance_station)
+     * @param {string} type - Facility type (fire_station, hospital, ambulance_station, aed)
      */
     getFacilitiesByType(type) {
         if (!this.loaded) {
             console.error('Facilities not loaded yet');
             return [];
         }
-        return this.facilities.filter(f => f.properties.type === type);
+        return this.facilitiesByType[type] || [];
     },
 
     /**
@@ -67,53 +136,334 @@ const FacilitiesManager = {
     },
 
     /**
-     * Find nearest facility of a given type to a location
+     * Find the k nearest facilities of a given type by straight-line distance
+     * @param {number} lat - User latitude
+     * @param {number} lon - User longitude
+     * @param {string} type - Facility type
+     * @param {number} k - Maximum number of facilities to return
+     * @param {Function} [filter] - Optional predicate a facility must pass
+     * @returns {Array} Facilities with distance, nearest first
+     */
+    findNearestFacilities(lat, lon, type, k, filter = null) {
+        const index = this.getIndex(type);
+        if (!index) {
+            return [];
+        }
+        return SpatialIndex.nearest(index, lat, lon, k, filter).map(result => this.toLocatedFacility(result));
+    },
+
+    /**
+     * Find all facilities of a given type within a radius
      * @param {number} lat - User latitude
      * @param {number} lon - User longitude
      * @param {string} type - Facility type
-     * @returns {object} Nearest facility with distance
+     * @param {number} radiusKm - Search radius in kilometers
+     * @param {Function} [filter] - Optional predicate a facility must pass
+     * @returns {Array} Facilities with distance, nearest first
+     */
+    findFacilitiesWithinRadius(lat, lon, type, radiusKm, filter = null) {
+        const index = this.getIndex(type);
+        if (!index) {
+            return [];
+        }
+        return SpatialIndex.withinRadius(index, lat, lon, radiusKm, filter).map(result => this.toLocatedFacility(result));
+    },
+
+    /**
+     * Get the spatial index for a facility type
+     * @param {string} type - Facility type
+     * @returns {object|null} Index, or null if there are no facilities of that type
+     */
+    getIndex(type) {
+        if (!this.loaded) {
+            console.error('Facilities not loaded yet');
+            return null;
+        }
+        return this.indexes[type] || null;
+    },
+
+    /**
+     * Attach distance and coordinates to a spatial index result
+     */
+    toLocatedFacility({ feature, lat, lon, distance }) {
+        return {
+            ...feature,
+            distance: distance,
+            lat: lat,
+            lon: lon
+        };
+    },
+
+    /**
+     * Find the k nearest public AEDs accessible at a given time
+     * @param {number} lat - User latitude
+     * @param {number} lon - User longitude
+     * @param {number} k - Maximum number of AEDs to return
+     * @param {Date} date - Time of the cardiac arrest
+     * @returns {Array} Accessible AEDs within the search radius, nearest first
+     */
+    findNearestAeds(lat, lon, k, date = new Date()) {
+        return this.findFacilitiesWithinRadius(lat, lon, 'aed', this.aedSearchRadius, f => this.isAedAccessible(f, date))
+            .slice(0, k);
+    },
+
+    /**
+     * Check whether a public AED can be retrieved at a given time.
+     * Outdoor cabinets and 24/7 units are always available; indoor units
+     * follow the access hours of the building they are in, and are not
+     * counted without them (see unknownHoursNote).
+     * @param {object} facility - AED feature
+     * @param {Date} date - Time of the cardiac arrest
+     * @returns {boolean} True if the AED is accessible
      */
-    findNearestFacility(lat, lon, type) {
-        const facilities = this.getFacilitiesByType(type);
-        if (facilities.length === 0) {
+    isAedAccessible(facility, date = new Date()) {
+        const props = facility.properties;
+        if (props.available_24_7 || props.indoor === false) {
+            return true;
+        }
+        if (!props.access_hours) {
+            return false;
+        }
+        // Hours we cannot parse are treated as open rather than hiding the AED
+        return this.isOpenAt(props.access_hours, date) !== false;
+    },
+
+    /**
+     * Describe where an AED is and when it can be reached
+     * @param {object} facility - AED feature
+     * @returns {string} Human-readable access summary
+     */
+    describeAedAccess(facility) {
+        const props = facility.properties;
+        const location = props.indoor === false ? 'Outdoor cabinet' : 'Indoor';
+        const hours = props.available_24_7 ? '24/7' : (props.access_hours || 'hours unknown');
+        return `${location} · ${hours}`;
+    },
+
+    /**
+     * Evaluate a simple OSM opening_hours string, e.g. "Mo-Fr 08:00-20:00; Sa 10:00-16:00".
+     * A range past midnight, e.g. "Fr 22:00-02:00", runs on into the next day.
+     * @param {string} hours - Opening hours specification
+     * @param {Date} date - Time to check
+     * @returns {boolean|null} Open state, or null if the string is not understood
+     */
+    isOpenAt(hours, date) {
+        const spec = hours.trim();
+        if (spec === '24/7') {
+            return true;
+        }
+
+        const rules = this.parseOpeningHours(spec);
+        if (!rules) {
             return null;
         }
 
-        let nearest = null;
-        let minDistance = Infinity;
-
-        facilities.forEach(facility => {
-            const coords = facility.geometry.coordinates;
-            // GeoJSON uses [lon, lat] format
-            const facilityLon = coords[0];
-            const facilityLat = coords[1];
-            const distance = this.calculateDistance(lat, lon, facilityLat, facilityLon);
-
-            if (distance < minDistance) {
-                minDistance = distance;
-                nearest = {
-                    ...facility,
-                    distance: distance,
-                    lat: facilityLat,
-                    lon: facilityLon
-                };
+        const day = date.getDay();
+        const minutes = date.getHours() * 60 + date.getMinutes();
+
+        // Later rules override earlier ones for the same day
+        const rangesOn = d => rules.filter(rule => rule.days.includes(d)).map(rule => rule.ranges).pop() || [];
+        const today = rangesOn(day).some(({ start, end }) => (start <= end
+            ? minutes >= start && minutes < end
+            : minutes >= start));
+        const fromYesterday = rangesOn((day + 6) % 7).some(({ start, end }) => start > end && minutes < end);
+        return today || fromYesterday;
+    },
+
+    /**
+     * Parse the rules of an opening_hours string
+     * @param {string} spec - Opening hours specification (not '24/7')
+     * @returns {Array|null} Rules [{ days, ranges: [{ start, end }] }] in minutes from midnight
+     *     ('off' has no ranges), or null if the string is not understood
+     */
+    parseOpeningHours(spec) {
+        const rules = [];
+        for (const rule of spec.split(';')) {
+            const match = rule.trim().match(/^([A-Za-z,\-]+)\s+(.+)$/);
+            const days = match && this.parseDays(match[1]);
+            if (!days) {
+                return null;
+            }
+
+            const ranges = [];
+            if (match[2].trim() !== 'off') {
+                for (const range of match[2].split(',')) {
+                    const times = range.trim().match(/^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/);
+                    if (!times) {
+                        return null;
+                    }
+                    ranges.push({
+                        start: parseInt(times[1], 10) * 60 + parseInt(times[2], 10),
+                        end: parseInt(times[3], 10) * 60 + parseInt(times[4], 10)
+                    });
+                }
+            }
+            rules.push({ days, ranges });
+        }
+        return rules;
+    },
+
+    /**
+     * Parse an opening_hours day selector such as "Mo-Fr" or "Sa,Su"
+     * @param {string} selector - Day selector
+     * @returns {Array<number>|null} Day indexes, or null if not understood
+     */
+    parseDays(selector) {
+        const days = [];
+        for (const part of selector.split(',')) {
+            const [from, to] = part.split('-').map(code => this.dayCodes.indexOf(code));
+            if (from === -1 || to === -1) {
+                return null;
             }
-        });
+            if (to === undefined) {
+                days.push(from);
+                continue;
+            }
+            // Ranges may wrap around the week, e.g. "Fr-Mo"
+            for (let d = from; ; d = (d + 1) % 7) {
+                days.push(d);
+                if (d === to) break;
+            }
+        }
+        return days;
+    },
 
-        return nearest;
+    /**
+     * Find the fire service area containing a point
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @returns {object|null} Area feature, or null outside every area
+     */
+    findServiceArea(lat, lon) {
+        return this.serviceAreas.find(area => this.containsPoint(area.geometry, lat, lon)) || null;
+    },
+
+    /**
+     * Check whether a GeoJSON Polygon or MultiPolygon contains a point (holes excluded)
+     */
+    containsPoint(geometry, lat, lon) {
+        const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+        return polygons.some(rings =>
+            this.ringContains(rings[0], lat, lon) && !rings.slice(1).some(hole => this.ringContains(hole, lat, lon))
+        );
+    },
+
+    /**
+     * Ray-casting test of a point against one ring of [lon, lat] positions
+     */
+    ringContains(ring, lat, lon) {
+        let inside = false;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [lonI, latI] = ring[i];
+            const [lonJ, latJ] = ring[j];
+            if ((latI > lat) !== (latJ > lat) &&
+                lon < (lonJ - lonI) * (lat - latI) / (latJ - latI) + lonI) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    },
+
+    /**
+     * Work out which fire stations respond to a location. The fire service
+     * area decides; without area data the nearest stations are used, and say so.
+     * Outside every area, or when the area's stations are not in the facility data,
+     * no station is assumed to respond: the nearest is only given as a reference
+     * and is left out of response times, survival and coverage.
+     * @param {number} lat - User latitude
+     * @param {number} lon - User longitude
+     * @param {number} k - Stations to compare by drive time
+     * @returns {object} { status, area, label, stations, reference } where status is
+     *     'area' (stations of the service area), 'outside' (no area contains the location),
+     *     'unmatched' (the area's stations are missing from the facility data) or
+     *     'no_data' (no service areas loaded); stations are the responding candidates,
+     *     nearest first, and reference the nearest station when none is assumed to respond
+     */
+    assignFireService(lat, lon, k) {
+        const nearest = () => this.findNearestFacilities(lat, lon, 'fire_station', k);
+
+        if (this.serviceAreas.length === 0) {
+            return {
+                status: 'no_data',
+                area: null,
+                label: 'Nearest station (no fire service area data)',
+                stations: nearest(),
+                reference: null
+            };
+        }
+
+        const area = this.findServiceArea(lat, lon);
+        if (!area) {
+            return {
+                status: 'outside',
+                area: null,
+                label: 'Outside any fire service area: no fire response counted',
+                stations: [],
+                reference: nearest()[0] || null
+            };
+        }
+
+        const name = area.properties.name || 'Unnamed fire service area';
+        const stations = this.findServiceAreaStations(area, lat, lon).slice(0, k);
+        if (stations.length === 0) {
+            return {
+                status: 'unmatched',
+                area: name,
+                label: `${name}: responding stations not found in the facility data, no fire response counted`,
+                stations: [],
+                reference: nearest()[0] || null
+            };
+        }
+        return { status: 'area', area: name, label: name, stations: stations, reference: null };
+    },
+
+    /**
+     * Find the stations a service area lists, matched by facility id or name
+     * (stations without one are not matched on it)
+     * @param {object} area - Service area feature
+     * @param {number} lat - User latitude
+     * @param {number} lon - User longitude
+     * @returns {Array} Stations with distance, nearest first
+     */
+    findServiceAreaStations(area, lat, lon) {
+        const listed = (area.properties.stations || []).map(station => String(station).toLowerCase());
+        const matches = value => value !== undefined && value !== null && value !== '' &&
+            listed.includes(String(value).toLowerCase());
+        return this.getFacilitiesByType('fire_station')
+            .filter(f => matches(f.properties.id) || matches(f.properties.name))
+            .map(feature => {
+                const [stationLon, stationLat] = feature.geometry.coordinates;
+                return this.toLocatedFacility({
+                    feature: feature,
+                    lat: stationLat,
+                    lon: stationLon,
+                    distance: this.calculateDistance(lat, lon, stationLat, stationLon)
+                });
+            })
+            .sort((a, b) => a.distance - b.distance);
     },
 
     /**
-     * Find all nearest facilities for each type
+     * Find the k nearest candidates for each facility type, to be compared
+     * by drive time since the straight-line nearest is not always fastest.
+     * Fire stations come from the fire service area (see assignFireService);
+     * hospitals include cardiac centres further away (see HospitalDestination.findCandidates),
+     * and air ambulances and drone AEDs every base in range (see AirAmbulance.findAvailableBases
+     * and DroneAED.findBasesInRange).
      * @param {number} lat - User latitude
      * @param {number} lon - User longitude
-     * @returns {object} Object with nearest fire station, ambulance, and hospital
+     * @param {number} k - Candidates per type
+     * @param {Date} date - Time of the cardiac arrest (used for AED access hours and night flying)
+     * @returns {object} Arrays of candidates keyed by facility type
      */
-    findAllNearestFacilities(lat, lon) {
+    findAllCandidateFacilities(lat, lon, k, date = new Date()) {
         return {
-            fire_station: this.findNearestFacility(lat, lon, 'fire_station'),
-            ambulance_station: this.findNearestFacility(lat, lon, 'ambulance_station'),
-            hospital: this.findNearestFacility(lat, lon, 'hospital')
+            aed: this.findNearestAeds(lat, lon, k, date),
+            fire_station: this.assignFireService(lat, lon, k).stations,
+            ambulance_station: this.findNearestFacilities(lat, lon, 'ambulance_station', k),
+            hospital: HospitalDestination.findCandidates(lat, lon, k),
+            air_ambulance: AirAmbulance.findAvailableBases(lat, lon, date),
+            drone_aed: DroneAED.findBasesInRange(lat, lon)
         };
     },
 
@@ -0,0 +1,184 @@
+/**
+ * Geocoding Provider Registry
+ * Online geocoders, selected through AppConfig.geocoding
+ *
+ * Every provider implements:
+ *   search(query, options, request)     - resolves to results { display_name, lat, lon, address, precision }
+ *   reverse(lat, lon, options, request) - resolves to { display_name, address }
+ * Both reject when the service fails; GeocodingService handles fallbacks.
+ * options: { baseUrl, bounds: { west, south, east, north }, limit }
+ * request: { cacheKey, channel, signal } passed through to RequestManager
+ *
+ * precision is one of 'address', 'street', 'locality' or 'region'.
+ */
+
+const GeocodingProviders = {
+    providers: {},
+    defaultProvider: 'nominatim',
+
+    /**
+     * Register a geocoding provider
+     * @param {object} provider - Provider definition with id, name, search() and reverse()
+     */
+    register(provider) {
+        if (!provider.id || typeof provider.search !== 'function' || typeof provider.reverse !== 'function') {
+            throw new Error('Geocoding provider requires an id, a search function and a reverse function');
+        }
+        this.providers[provider.id] = provider;
+    },
+
+    /**
+     * Get a provider by id, falling back to the default provider
+     * @param {string} id - Provider id
+     * @returns {object} Provider definition
+     */
+    get(id) {
+        return this.providers[id] || this.providers[this.defaultProvider];
+    },
+
+    /**
+     * List all registered providers
+     * @returns {Array} Provider definitions in registration order
+     */
+    list() {
+        return Object.values(this.providers);
+    },
+
+    /**
+     * Fetch JSON through the shared request layer, under the geocoding rate limit
+     * @param {string} url - Request URL
+     * @param {object} [request] - { cacheKey, channel, signal }
+     * @returns {Promise<object>} Parsed response
+     */
+    fetchJSON(url, request = {}) {
+        return RequestManager.fetchJSON(url, {
+            ...request,
+            limiter: 'geocoding',
+            headers: {
+                'User-Agent': 'AEDRiskAssessment/1.0'
+            }
+        });
+    }
+};
+
+GeocodingProviders.register({
+    id: 'nominatim',
+    name: 'Nominatim',
+
+    async search(query, { baseUrl, bounds, limit }, request) {
+        const url = `${baseUrl}/search?` + new URLSearchParams({
+            q: query,
+            format: 'json',
+            countrycodes: 'ca', // Limit to Canada
+            viewbox: `${bounds.west},${bounds.south},${bounds.east},${bounds.north}`,
+            bounded: 1,
+            limit: limit,
+            addressdetails: 1
+        });
+
+        const results = await GeocodingProviders.fetchJSON(url, request);
+        return results.map(result => ({
+            display_name: result.display_name,
+            lat: parseFloat(result.lat),
+            lon: parseFloat(result.lon),
+            address: result.address,
+            precision: this.getPrecision(result)
+        }));
+    },
+
+    async reverse(lat, lon, { baseUrl }, request) {
+        const url = `${baseUrl}/reverse?` + new URLSearchParams({
+            lat: lat,
+            lon: lon,
+            format: 'json',
+            addressdetails: 1
+        });
+
+        const result = await GeocodingProviders.fetchJSON(url, request);
+        if (result.error) {
+            throw new Error(result.error);
+        }
+        return {
+            display_name: result.display_name,
+            address: result.address
+        };
+    },
+
+    getPrecision(result) {
+        const address = result.address || {};
+        if (address.house_number) {
+            return 'address';
+        }
+        if (result.class === 'highway') {
+            return 'street';
+        }
+        if (address.city || address.town || address.village || address.hamlet) {
+            return 'locality';
+        }
+        return 'region';
+    }
+});
+
+GeocodingProviders.register({
+    id: 'photon',
+    name: 'Photon',
+
+    async search(query, { baseUrl, bounds, limit }, request) {
+        const url = `${baseUrl}/api/?` + new URLSearchParams({
+            q: query,
+            bbox: `${bounds.west},${bounds.south},${bounds.east},${bounds.north}`,
+            limit: limit,
+            lang: 'en'
+        });
+
+        const data = await GeocodingProviders.fetchJSON(url, request);
+        return data.features
+            .filter(feature => !feature.properties.countrycode || feature.properties.countrycode === 'CA')
+            .map(feature => this.toResult(feature));
+    },
+
+    async reverse(lat, lon, { baseUrl }, request) {
+        const url = `${baseUrl}/reverse?` + new URLSearchParams({ lat: lat, lon: lon, lang: 'en' });
+
+        const data = await GeocodingProviders.fetchJSON(url, request);
+        if (!data.features || data.features.length === 0) {
+            throw new Error('No address found');
+        }
+        const { display_name, address } = this.toResult(data.features[0]);
+        return { display_name, address };
+    },
+
+    /**
+     * Convert a Photon GeoJSON feature to a geocoding result
+     */
+    toResult(feature) {
+        const p = feature.properties;
+        const street = [p.housenumber, p.street].filter(Boolean).join(' ');
+        const parts = [p.name, street, p.city || p.town || p.village, p.state, p.postcode, p.country]
+            .filter((part, i, all) => part && all.indexOf(part) === i);
+
+        let precision = 'region';
+        if (p.housenumber) {
+            precision = 'address';
+        } else if (p.osm_key === 'highway' || p.type === 'street') {
+            precision = 'street';
+        } else if (p.city || p.town || p.village || ['city', 'town', 'village', 'locality'].includes(p.type)) {
+            precision = 'locality';
+        }
+
+        return {
+            display_name: parts.join(', '),
+            lat: feature.geometry.coordinates[1],
+            lon: feature.geometry.coordinates[0],
+            address: {
+                house_number: p.housenumber,
+                road: p.street,
+                city: p.city,
+                state: p.state,
+                postcode: p.postcode,
+                country: p.country
+            },
+            precision: precision
+        };
+    }
+});
@@ -1,51 +1,314 @@
 /**
  * Geocoding Module
- * Handles address search and coordinate conversion using Nominatim
+ * Turns user input into locations through a chain of providers: typed
+ * coordinates, the offline postal code (FSA) table, then the online geocoder
+ * chosen in AppConfig.geocoding (see geocoding-providers.js).
+ *
+ * Every result records where it came from:
+ *   provider  - 'coordinates', 'fsa', or the online provider id
+ *   precision - 'exact', 'address', 'street', 'locality', 'region' or 'fsa'
  */
 
 const GeocodingService = {
+    provider: 'nominatim',
     baseUrl: 'https://nominatim.openstreetmap.org',
+    searchBounds: { west: -95.2, south: 41.7, east: -74.3, north: 56.9 }, // Ontario (roughly)
+    resultLimit: 5,
+    postalCodeUrl: 'data/canada-fsa-centroids.json',
+    postalCodes: {}, // FSA → { lat, lon, name }
+    offline: false, // Set while there is no connection; searches use recent results only
+    recentKey: 'aedrisk-recent-geocodes', // localStorage key
+    recentLimit: 100,
+
+    /**
+     * Choose the online geocoder
+     * @param {object} config - { provider, baseUrl, minInterval (ms between requests) }
+     */
+    configure({ provider, baseUrl, minInterval = 1000 }) {
+        this.provider = GeocodingProviders.get(provider).id;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        RequestManager.setRateLimit('geocoding', minInterval);
+    },
+
+    getProvider() {
+        return GeocodingProviders.get(this.provider);
+    },
+
+    /**
+     * Load the offline postal code area (FSA) centroid table
+     */
+    async loadPostalCodes() {
+        try {
+            const response = await fetch(this.postalCodeUrl);
+            if (!response.ok) {
+                throw new Error(`Failed to load ${this.postalCodeUrl}`);
+            }
+            const data = await response.json();
+            this.postalCodes = data.fsa || {};
+        } catch (error) {
+            // Postal code search is a fallback; carry on without it
+            console.error('Error loading postal codes:', error);
+        }
+    },
     
     /**
      * Search for addresses
      * @param {string} query - Search query
-     * @returns {Promise<Array>} Array of search results
+     * @param {object} [request] - { channel, signal } for cancelling superseded searches
+     * @returns {Promise<Array>} Array of search results (rejects with an AbortError if cancelled)
      */
-    async searchAddress(query) {
-        if (!query || query.length < 3) {
+    async searchAddress(query, request = {}) {
+        if (!query || query.trim().length < 3) {
             return [];
         }
 
-        try {
-            const url = `${this.baseUrl}/search?` + new URLSearchParams({
-                q: query,
-                format: 'json',
-                countrycodes: 'ca', // Limit to Canada
-                viewbox: '-95.2,41.7,-74.3,56.9', // Ontario bounding box (roughly)
-                bounded: 1,
-                limit: 5,
-                addressdetails: 1
-            });
+        // 1. Coordinates typed directly
+        const coordinates = this.parseCoordinates(query);
+        if (coordinates) {
+            return [coordinates];
+        }
+
+        // 2. A bare postal code: the offline FSA table is as good as it gets
+        const postalCode = this.findPostalCode(query);
+        if (postalCode && postalCode.whole && this.lookupPostalCode(postalCode)) {
+            return [this.lookupPostalCode(postalCode)];
+        }
 
-            const response = await fetch(url, {
-                headers: {
-                    'User-Agent': 'AEDRiskAssessment/1.0'
+        // 3. The online geocoder (recent results when offline or unreachable)
+        let results = [];
+        if (!this.offline) {
+            try {
+                const provider = this.getProvider();
+                const normalised = query.trim().toLowerCase().replace(/\s+/g, ' ');
+                results = (await provider.search(query.trim(), {
+                    baseUrl: this.baseUrl,
+                    bounds: this.searchBounds,
+                    limit: this.resultLimit
+                }, {
+                    ...request,
+                    cacheKey: `search:${provider.id}:${normalised}`
+                })).map(result => ({ ...result, provider: provider.id }));
+                this.rememberResults(results);
+            } catch (error) {
+                if (RequestManager.isAbortError(error)) {
+                    throw error;
                 }
-            });
+                console.error('Geocoding error:', error);
+            }
+        }
+        if (results.length === 0) {
+            results = this.searchRecent(query);
+        }
 
-            if (!response.ok) {
-                throw new Error('Geocoding request failed');
+        // 4. Last resort: the postal code area of an address that wasn't found
+        if (results.length === 0 && postalCode && this.lookupPostalCode(postalCode)) {
+            results = [this.lookupPostalCode(postalCode)];
+        }
+
+        return results;
+    },
+
+    /**
+     * Parse coordinates typed as decimal degrees ("44.51, -79.42"),
+     * degrees and minutes, or degrees, minutes and seconds (44°30'36"N 79°25'12"W)
+     * @param {string} query - User input
+     * @returns {object|null} Result, or null if the input isn't coordinates
+     */
+    parseCoordinates(query) {
+        const text = query.toUpperCase()
+            .replace(/[º˚]/g, '°')
+            .replace(/[′’‘]/g, "'")
+            .replace(/[″“”]|''/g, '"')
+            .trim();
+        if (!/^[\d\s.,;°'"NSEW+-]+$/.test(text) || !/\d/.test(text)) {
+            return null;
+        }
+
+        const parts = this.splitCoordinatePair(text);
+        if (!parts) {
+            return null;
+        }
+        const angles = parts.map(part => this.parseAngle(part));
+        if (angles.some(angle => angle === null)) {
+            return null;
+        }
+
+        let lat;
+        let lon;
+        const [a, b] = angles;
+        if (a.axis === 'lon' || b.axis === 'lat') {
+            [lat, lon] = [b.value, a.value];
+        } else if (a.axis || b.axis) {
+            [lat, lon] = [a.value, b.value];
+        } else {
+            // Without hemisphere letters, prefer a reading inside the search area: longitude
+            // first ("-79.42, 44.51") or Ontario longitude typed without the minus sign
+            const unsigned = !parts.some(part => part.includes('-'));
+            const readings = [[a.value, b.value], [b.value, a.value]];
+            if (unsigned) {
+                readings.push([a.value, -b.value], [b.value, -a.value]);
             }
+            [lat, lon] = readings.find(([y, x]) => this.isWithinSearchBounds(y, x)) ||
+                (Math.abs(a.value) > 90 ? readings[1] : readings[0]);
+        }
+
+        if (Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+            return null;
+        }
+
+        return {
+            display_name: `${lat.toFixed(5)}, ${lon.toFixed(5)}`,
+            lat: lat,
+            lon: lon,
+            address: {},
+            provider: 'coordinates',
+            precision: 'exact'
+        };
+    },
+
+    /**
+     * Split coordinate text into latitude and longitude parts
+     * @param {string} text - Normalised coordinate text
+     * @returns {Array|null} Two parts, or null if they can't be told apart
+     */
+    splitCoordinatePair(text) {
+        const commaParts = text.split(/[,;]/).map(part => part.trim()).filter(Boolean);
+        if (commaParts.length === 2) {
+            return commaParts;
+        }
+        if (commaParts.length !== 1) {
+            return null;
+        }
+
+        const hemispheres = [...text.matchAll(/[NSEW]/g)].map(match => match.index);
+        if (hemispheres.length === 2) {
+            // Leading (N44 30 W79 25) or trailing (44 30N 79 25W) hemisphere letters
+            const split = hemispheres[0] === 0 ? hemispheres[1] : hemispheres[0] + 1;
+            return [text.slice(0, split).trim(), text.slice(split).trim()];
+        }
+        if (hemispheres.length > 0) {
+            return null;
+        }
+
+        // Space-separated: 2 (decimal), 4 (degrees and minutes) or 6 (with seconds) numbers
+        const numbers = text.split(/\s+/);
+        if (![2, 4, 6].includes(numbers.length)) {
+            return null;
+        }
+        const half = numbers.length / 2;
+        return [numbers.slice(0, half).join(' '), numbers.slice(half).join(' ')];
+    },
 
-            const results = await response.json();
-            return results.map(result => ({
-                display_name: result.display_name,
-                lat: parseFloat(result.lat),
-                lon: parseFloat(result.lon),
-                address: result.address
-            }));
+    /**
+     * Parse one angle in decimal degrees, degrees-minutes or degrees-minutes-seconds
+     * @param {string} part - Angle text, optionally with a hemisphere letter
+     * @returns {object|null} { value, axis ('lat', 'lon' or null) }
+     */
+    parseAngle(part) {
+        const hemisphere = (part.match(/[NSEW]/) || [])[0] || null;
+        const numbers = (part.match(/[+-]?\d+(?:\.\d+)?/g) || []).map(Number);
+        if (numbers.length < 1 || numbers.length > 3) {
+            return null;
+        }
+
+        const [degrees, minutes = 0, seconds = 0] = numbers;
+        if (minutes < 0 || minutes >= 60 || seconds < 0 || seconds >= 60 ||
+            (numbers.length > 1 && !Number.isInteger(degrees))) {
+            return null;
+        }
+
+        let value = Math.abs(degrees) + minutes / 60 + seconds / 3600;
+        if (degrees < 0 || Object.is(degrees, -0) || hemisphere === 'S' || hemisphere === 'W') {
+            value = -value;
+        }
+
+        return {
+            value: value,
+            axis: hemisphere ? ('NS'.includes(hemisphere) ? 'lat' : 'lon') : null
+        };
+    },
+
+    isWithinSearchBounds(lat, lon) {
+        const b = this.searchBounds;
+        return lat >= b.south && lat <= b.north && lon >= b.west && lon <= b.east;
+    },
+
+    /**
+     * Find a Canadian postal code or FSA in the input
+     * @param {string} query - User input
+     * @returns {object|null} { fsa, code, whole } where whole means the input is only the code
+     */
+    findPostalCode(query) {
+        const pattern = /\b([ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z])(?:\s?(\d[ABCEGHJ-NPRSTV-Z]\d))?\b/i;
+        const match = query.match(pattern);
+        if (!match) {
+            return null;
+        }
+
+        const fsa = match[1].toUpperCase();
+        const code = match[2] ? `${fsa} ${match[2].toUpperCase()}` : fsa;
+        return { fsa, code, whole: match[0].length === query.trim().length };
+    },
+
+    /**
+     * Look up the centroid of a postal code area
+     * @param {object} postalCode - From findPostalCode
+     * @returns {object|null} Result with precision 'fsa', or null if the FSA is unknown
+     */
+    lookupPostalCode({ fsa, code }) {
+        const area = this.postalCodes[fsa];
+        if (!area) {
+            return null;
+        }
+        return {
+            display_name: `${code} (${area.name}) - postal code area centre`,
+            lat: area.lat,
+            lon: area.lon,
+            address: { postcode: code },
+            provider: 'fsa',
+            precision: 'fsa',
+            postalCode: code
+        };
+    },
+
+    /**
+     * Search previously geocoded addresses (used without a connection)
+     * @param {string} query - Search query
+     * @returns {Array} Matching results, marked as cached
+     */
+    searchRecent(query) {
+        const words = query.toLowerCase().split(/[\s,]+/).filter(Boolean);
+        return this.loadRecent()
+            .filter(result => {
+                const name = result.display_name.toLowerCase();
+                return words.every(word => name.includes(word));
+            })
+            .slice(0, this.resultLimit)
+            .map(result => ({ ...result, cached: true }));
+    },
+
+    /**
+     * Keep search results for offline use, newest first
+     * @param {Array} results - Geocoding results
+     */
+    rememberResults(results) {
+        const names = new Set(results.map(result => result.display_name));
+        const recent = [
+            ...results,
+            ...this.loadRecent().filter(result => !names.has(result.display_name))
+        ].slice(0, this.recentLimit);
+
+        try {
+            localStorage.setItem(this.recentKey, JSON.stringify(recent));
+        } catch (error) {
+            // Storage full or disabled; offline search just has fewer results
+        }
+    },
+
+    loadRecent() {
+        try {
+            return JSON.parse(localStorage.getItem(this.recentKey)) || [];
         } catch (error) {
-            console.error('Geocoding error:', error);
             return [];
         }
     },
@@ -54,38 +317,36 @@ const GeocodingService = {
      * Reverse geocode - convert coordinates to address
      * @param {number} lat - Latitude
      * @param {number} lon - Longitude
+     * @param {object} [request] - { signal } for cancelling a superseded assessment
      * @returns {Promise<object>} Address information
      */
-    async reverseGeocode(lat, lon) {
-        try {
-            const url = `${this.baseUrl}/reverse?` + new URLSearchParams({
-                lat: lat,
-                lon: lon,
-                format: 'json',
-                addressdetails: 1
-            });
+    async reverseGeocode(lat, lon, request = {}) {
+        if (this.offline) {
+            return this.coordinateLabel(lat, lon);
+        }
 
-            const response = await fetch(url, {
-                headers: {
-                    'User-Agent': 'AEDRiskAssessment/1.0'
-                }
+        try {
+            const provider = this.getProvider();
+            return await provider.reverse(lat, lon, { baseUrl: this.baseUrl }, {
+                ...request,
+                cacheKey: `reverse:${provider.id}:${lat.toFixed(5)},${lon.toFixed(5)}`
             });
-
-            if (!response.ok) {
-                throw new Error('Reverse geocoding failed');
-            }
-
-            const result = await response.json();
-            return {
-                display_name: result.display_name,
-                address: result.address
-            };
         } catch (error) {
+            if (RequestManager.isAbortError(error)) {
+                throw error;
+            }
             console.error('Reverse geocoding error:', error);
-            return {
-                display_name: `${lat.toFixed(5)}, ${lon.toFixed(5)}`,
-                address: {}
-            };
+            return this.coordinateLabel(lat, lon);
         }
+    },
+
+    /**
+     * Fallback address for a point that can't be reverse geocoded
+     */
+    coordinateLabel(lat, lon) {
+        return {
+            display_name: `${lat.toFixed(5)}, ${lon.toFixed(5)}`,
+            address: {}
+        };
     }
 };
@@ -0,0 +1,133 @@
+/**
+ * Hospital Destination Module
+ * Hospital capabilities and the rule choosing where the ambulance takes a
+ * post-arrest patient: a 24/7 PCI cardiac centre when one is reachable within
+ * the time threshold, even past a closer community hospital, otherwise the
+ * nearest emergency department (see RoutingService.selectHospital).
+ *
+ * Capabilities are facility properties (true, false, or missing when unknown):
+ *   emergency_department - has an emergency department (OSM emergency=yes/no)
+ *   pci_24_7             - round-the-clock percutaneous coronary intervention
+ *   helipad              - air ambulance can land on site
+ *
+ * Configured through AppConfig.hospitals:
+ *   rule                 - 'pci' (prefer cardiac centres) or 'nearest'
+ *   maxTransportMinutes  - longest transport to a cardiac centre before the nearest hospital is used
+ *   cardiacCentres       - facility ids or names to treat as 24/7 PCI centres
+ */
+
+const HospitalDestination = {
+    rule: 'pci',
+    maxTransportMinutes: 60,
+    cardiacCentres: [], // Lower-cased ids and names from AppConfig.hospitals
+
+    capabilities: [
+        { id: 'emergency_department', label: 'Emergency department' },
+        { id: 'pci_24_7', label: '24/7 PCI' },
+        { id: 'helipad', label: 'Helipad' }
+    ],
+
+    /**
+     * Apply settings from AppConfig.hospitals
+     * @param {object} config - { rule, maxTransportMinutes, cardiacCentres }
+     */
+    configure({ rule = 'pci', maxTransportMinutes, cardiacCentres = [] } = {}) {
+        this.rule = rule === 'nearest' ? 'nearest' : 'pci';
+        if (typeof maxTransportMinutes === 'number') {
+            this.maxTransportMinutes = maxTransportMinutes;
+        }
+        this.cardiacCentres = cardiacCentres.map(centre => String(centre).toLowerCase());
+    },
+
+    /**
+     * Whether a hospital can take an arrest patient. Hospitals without the
+     * property are assumed to have an emergency department.
+     */
+    hasEmergencyDepartment(facility) {
+        return facility.properties.emergency_department !== false;
+    },
+
+    /**
+     * Whether a hospital is a 24/7 PCI cardiac centre, from its properties or AppConfig.hospitals
+     */
+    isCardiacCentre(facility) {
+        const props = facility.properties;
+        if (props.pci_24_7 === true) {
+            return true;
+        }
+        // Hospitals without an id or name are not matched on it
+        const matches = value => value !== undefined && value !== null && value !== '' &&
+            this.cardiacCentres.includes(String(value).toLowerCase());
+        return matches(props.id) || matches(props.name);
+    },
+
+    /**
+     * List a hospital's known capabilities
+     * @param {object} facility - Hospital feature
+     * @returns {Array<string>} Labels of the capabilities it has
+     */
+    getCapabilities(facility) {
+        return this.capabilities
+            .filter(({ id }) => (id === 'pci_24_7' ? this.isCardiacCentre(facility) : facility.properties[id] === true))
+            .map(({ label }) => label);
+    },
+
+    /**
+     * Find the hospitals to compare: the nearest emergency departments and,
+     * under the PCI rule, the nearest cardiac centres however far they are
+     * @param {number} lat - User latitude
+     * @param {number} lon - User longitude
+     * @param {number} k - Candidates of each kind
+     * @returns {Array} Hospitals with distance, nearest first
+     */
+    findCandidates(lat, lon, k) {
+        const nearest = FacilitiesManager.findNearestFacilities(lat, lon, 'hospital', k, f => this.hasEmergencyDepartment(f));
+        if (this.rule !== 'pci') {
+            return nearest;
+        }
+
+        const centres = FacilitiesManager.findNearestFacilities(
+            lat, lon, 'hospital', k, f => this.hasEmergencyDepartment(f) && this.isCardiacCentre(f)
+        );
+        const key = facility => `${facility.lat},${facility.lon},${facility.properties.name}`;
+        const seen = new Set(nearest.map(key));
+        return [...nearest, ...centres.filter(centre => !seen.has(key(centre)))]
+            .sort((a, b) => a.distance - b.distance);
+    },
+
+    /**
+     * Apply the destination rule
+     * @param {object|null} nearest - { facility, route } for the fastest hospital of any kind
+     * @param {object|null} centre - { facility, route } for the fastest cardiac centre, or null if none
+     * @returns {object|null} { choice ('centre' or 'nearest'), reason }, or null without hospitals
+     */
+    choose(nearest, centre) {
+        const minutes = route => `${route.duration.toFixed(1)} min`;
+        const name = option => option.facility.properties.name || 'Unknown';
+
+        if (!nearest && !centre) {
+            return null;
+        }
+        if (this.rule !== 'pci') {
+            return { choice: 'nearest', reason: 'Nearest emergency department (cardiac centre preference off)' };
+        }
+        if (!centre) {
+            return { choice: 'nearest', reason: 'Nearest emergency department: no 24/7 PCI centre in the facility data' };
+        }
+        if (!nearest || centre.facility === nearest.facility || this.isCardiacCentre(nearest.facility)) {
+            return { choice: 'centre', reason: 'Nearest hospital is a 24/7 PCI cardiac centre' };
+        }
+        if (centre.route.duration <= this.maxTransportMinutes) {
+            return {
+                choice: 'centre',
+                reason: `24/7 PCI cardiac centre within ${this.maxTransportMinutes} min (${minutes(centre.route)}), ` +
+                    `bypassing ${name(nearest)} (${minutes(nearest.route)})`
+            };
+        }
+        return {
+            choice: 'nearest',
+            reason: `Nearest emergency department: the closest 24/7 PCI centre, ${name(centre)}, ` +
+                `is ${minutes(centre.route)} away (over ${this.maxTransportMinutes} min)`
+        };
+    }
+};
@@ -8,7 +8,31 @@ const MapManager = {
     userMarker: null,
     facilityMarkers: [],
     routeLayer: null,
+    droneLayer: null, // Planned drone bases and their range
+    coverageLayer: null,
+    coverageLegend: null,
     
+    // Marker emoji and route colour per facility type
+    facilityIcons: {
+        aed: { emoji: '⚡', color: '#f39c12' },
+        drone_aed: { emoji: '🛩️', color: '#e8590c' },
+        fire_station: { emoji: '🚒', color: '#ff6b6b' },
+        ambulance_station: { emoji: '🚑', color: '#4ecdc4' },
+        air_ambulance: { emoji: '🚁', color: '#7950f2' },
+        hospital: { emoji: '🏥', color: '#45b7d1' }
+    },
+
+    // Line styles for the stages of water-access routes and last-mile walks
+    // (drive stages use the facility colour)
+    stageStyles: {
+        boat: { color: '#1a4f8b', weight: 4, opacity: 0.8, dashArray: '14, 8' },
+        walking: { color: '#555555', weight: 3, opacity: 0.9, dashArray: '2, 6' }
+    },
+
+    // OpenStreetMap tiles (OfflineManager builds the same URLs for offline downloads)
+    tileUrl: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+    tileSubdomains: ['a', 'b', 'c'],
+
     // Ontario center coordinates
     defaultCenter: [44.5, -79.5],
     defaultZoom: 7,
@@ -25,7 +49,8 @@ const MapManager = {
         });
 
         // Add OpenStreetMap tile layer
-        L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+        L.tileLayer(this.tileUrl, {
+            subdomains: this.tileSubdomains,
             attribution: '© <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
             maxZoom: 19
         }).addTo(this.map);
@@ -43,7 +68,12 @@ const MapManager = {
      * @param {object} latlng - Clicked coordinates
      */
     onMapClick(latlng) {
-        if (window.App) {
+        if (!window.App) {
+            return;
+        }
+        if (window.App.dronePlanning) {
+            window.App.placeDroneBase(latlng.lat, latlng.lng);
+        } else {
             window.App.onLocationSelected(latlng.lat, latlng.lng);
         }
     },
@@ -85,17 +115,11 @@ const MapManager = {
         // Clear existing facility markers
         this.clearFacilityMarkers();
 
-        const icons = {
-            fire_station: { emoji: '🚒', color: '#ff6b6b' },
-            ambulance_station: { emoji: '🚑', color: '#4ecdc4' },
-            hospital: { emoji: '🏥', color: '#45b7d1' }
-        };
-
         Object.keys(facilities).forEach(type => {
             const facility = facilities[type];
             if (!facility) return;
 
-            const icon = icons[type];
+            const icon = this.facilityIcons[type];
             const markerIcon = L.divIcon({
                 className: 'facility-marker',
                 html: `<div style="font-size: 24px; text-shadow: 2px 2px 4px rgba(0,0,0,0.5);">${icon.emoji}</div>`,
@@ -104,11 +128,15 @@ const MapManager = {
             });
 
             const name = facility.properties.name || 'Unknown';
+            const access = type === 'aed'
+                ? `<div class="popup-facility-access">${this.escape(FacilitiesManager.describeAedAccess(facility))}</div>`
+                : '';
             const marker = L.marker([facility.lat, facility.lon], { icon: markerIcon })
                 .addTo(this.map)
                 .bindPopup(`
                     <div class="popup-facility-name">${icon.emoji} ${name}</div>
                     <div class="popup-facility-type">${this.formatFacilityType(type)}</div>
+                    ${access}
                 `);
 
             this.facilityMarkers.push(marker);
@@ -118,8 +146,9 @@ const MapManager = {
     /**
      * Draw routes on map
      * @param {object} routes - Routes to facilities
+     * @param {object} [chain] - Ambulance chain from RoutingService.buildEmsChain
      */
-    drawRoutes(routes) {
+    drawRoutes(routes, chain = null) {
         // Clear existing routes
         if (this.routeLayer) {
             this.map.removeLayer(this.routeLayer);
@@ -128,30 +157,167 @@ const MapManager = {
         // Create layer group for routes
         this.routeLayer = L.layerGroup().addTo(this.map);
 
-        const colors = {
-            fire_station: '#ff6b6b',
-            ambulance_station: '#4ecdc4',
-            hospital: '#45b7d1'
-        };
+        // Station → patient → hospital, as a halo under the ambulance and hospital routes
+        if (chain) {
+            this.drawRouteLine(chain.geometry, { color: '#212529', weight: 10, opacity: 0.2 }, this.buildChainPopup(chain));
+        }
+
+        // Responders share the boat crossing and the walk from the road, so each is drawn once
+        const drawnCrossings = new Set();
 
         Object.keys(routes).forEach(type => {
             const route = routes[type];
             if (!route || !route.geometry) return;
 
-            const coordinates = route.geometry.coordinates.map(coord => [coord[1], coord[0]]);
-            
-            L.polyline(coordinates, {
-                color: colors[type],
-                weight: 4,
-                opacity: 0.7,
-                dashArray: route.estimated ? '10, 10' : null
-            }).addTo(this.routeLayer);
+            if (!route.stages) {
+                this.drawRouteLine(route.geometry, {
+                    color: this.facilityIcons[type].color,
+                    dashArray: ['air', 'drone'].includes(route.mode) ? '2, 10' : (route.estimated ? '10, 10' : null)
+                }, this.buildRoutePopup(type, route));
+
+                const key = route.lastMile && JSON.stringify(route.lastMile.geometry.coordinates);
+                if (key && !drawnCrossings.has(key)) {
+                    drawnCrossings.add(key);
+                    this.drawRouteLine(route.lastMile.geometry, this.stageStyles.walking,
+                        `<div class="popup-facility-access">🚶 Road to pin on foot: ${Math.round(route.lastMile.distance * 1000)} m · ` +
+                        `${route.lastMile.duration.toFixed(1)} min</div>`);
+                }
+                return;
+            }
+
+            route.stages.forEach(stage => {
+                if (stage.mode === 'drive') {
+                    this.drawRouteLine(stage.geometry, {
+                        color: this.facilityIcons[type].color,
+                        dashArray: stage.estimated ? '10, 10' : null
+                    }, this.buildRoutePopup(type, route));
+                    return;
+                }
+                const key = JSON.stringify(stage.geometry.coordinates);
+                if (!drawnCrossings.has(key)) {
+                    drawnCrossings.add(key);
+                    this.drawRouteLine(stage.geometry, this.stageStyles[stage.mode],
+                        `<div class="popup-facility-access">${this.escape(WaterAccess.describe(route.crossing))}</div>`);
+                }
+            });
+
+            if (!drawnCrossings.has(route.launch.name)) {
+                drawnCrossings.add(route.launch.name);
+                L.circleMarker([route.launch.lat, route.launch.lon], {
+                    radius: 6,
+                    color: this.stageStyles.boat.color,
+                    fillColor: '#ffffff',
+                    fillOpacity: 1,
+                    weight: 3
+                })
+                    .bindPopup(`<div class="popup-facility-name">⚓ ${this.escape(route.launch.name)}</div>
+                        <div class="popup-facility-type">Boat launch</div>`)
+                    .addTo(this.routeLayer);
+            }
         });
 
         // Fit map to show all markers and routes
         this.fitBounds();
     },
 
+    /**
+     * Draw one route line on the route layer
+     * @param {object} geometry - GeoJSON LineString
+     * @param {object} style - Leaflet path options, over the default route style
+     * @param {string} popup - Popup HTML
+     */
+    drawRouteLine(geometry, style, popup) {
+        const coordinates = geometry.coordinates.map(coord => [coord[1], coord[0]]);
+        L.polyline(coordinates, { weight: 4, opacity: 0.7, ...style })
+            .bindPopup(popup)
+            .addTo(this.routeLayer);
+    },
+
+    /**
+     * Describe a route, listing the segments slowed as cottage roads and why
+     * @param {string} type - Facility type
+     * @param {object} route - Route to the facility
+     * @returns {string} Popup HTML
+     */
+    buildRoutePopup(type, route) {
+        const header = `
+            <div class="popup-facility-name">${this.facilityIcons[type].emoji} Route to ${this.formatFacilityType(type)}</div>
+            <div class="popup-facility-type">${route.distance.toFixed(2)} km · ${route.estimated ? '~' : ''}${route.duration.toFixed(1)} min</div>
+        ` + this.buildStageList(route);
+        if (route.mode === 'walking') {
+            return header;
+        }
+        if (route.mode === 'air') {
+            return `${header}<div class="popup-facility-access">${this.escape(AirAmbulance.describe(route))}</div>`;
+        }
+        if (route.mode === 'drone') {
+            return `${header}<div class="popup-facility-access">${this.escape(DroneAED.describe(route))}</div>`;
+        }
+        if (route.estimated) {
+            return `${header}<div class="popup-facility-access">Straight-line estimate: road types unknown</div>`;
+        }
+
+        const segments = route.slowSegments || [];
+        if (segments.length === 0) {
+            return `${header}<div class="popup-facility-access">No segments slowed as cottage roads</div>`;
+        }
+
+        const items = segments.map(segment => {
+            const name = this.escape(segment.name);
+            const added = segment.addedMinutes >= 0.05 ? ` (+${segment.addedMinutes.toFixed(1)} min)` : '';
+            return `<li><strong>${name}</strong>, ${segment.distance.toFixed(2)} km: ${segment.label.toLowerCase()} ` +
+                `at ${segment.speed} km/h${added}<br><small>${segment.reasons.map(reason => this.escape(reason)).join(', ')}</small></li>`;
+        }).join('');
+        return `${header}<div class="popup-facility-access">Slowed segments:</div><ul class="popup-route-segments">${items}</ul>`;
+    },
+
+    /**
+     * Describe the ambulance chain from station to hospital
+     * @param {object} chain - Chain from RoutingService.buildEmsChain
+     * @returns {string} Popup HTML
+     */
+    buildChainPopup(chain) {
+        const name = facility => this.escape(facility.properties.name || 'Unknown');
+        const minutes = route => `${route.estimated ? '~' : ''}${route.duration.toFixed(1)} min`;
+        return `
+            <div class="popup-facility-name">🚑 ${name(chain.station)} → patient → 🏥 ${name(chain.hospital)}</div>
+            <div class="popup-facility-type">${chain.distance.toFixed(2)} km</div>
+            <ul class="popup-route-segments">
+                <li>Response: ${minutes(chain.response)}</li>
+                <li>On scene: ${ResponseIntervals.onSceneMinutes} min</li>
+                <li>Transport: ${minutes(chain.transport)}</li>
+            </ul>
+        `;
+    },
+
+    /**
+     * List the drive, boat and walk stages of a water-access route, or the
+     * walk from the road for pins off the road
+     * @param {object} route - Route to the facility
+     * @returns {string} HTML, empty for routes that end at the pin
+     */
+    buildStageList(route) {
+        if (route.lastMile) {
+            return `<div class="popup-facility-access">Plus ${Math.round(route.lastMile.distance * 1000)} m on foot ` +
+                `from the road (${route.lastMile.duration.toFixed(1)} min)</div>`;
+        }
+        if (!route.stages) {
+            return '';
+        }
+        const labels = { drive: '🚗 Drive', boat: `🚤 Boat from ${this.escape(route.launch.name)}`, walking: '🚶 Walk' };
+        const items = route.stages.map(stage =>
+            `<li>${labels[stage.mode]}: ${stage.distance.toFixed(2)} km · ${stage.estimated ? '~' : ''}${stage.duration.toFixed(1)} min</li>`
+        ).join('');
+        return `<ul class="popup-route-segments">${items}</ul>`;
+    },
+
+    /**
+     * Escape map data (road and launch names) for popup HTML
+     */
+    escape(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;');
+    },
+
     /**
      * Fit map bounds to show all markers
      */
@@ -171,6 +337,16 @@ const MapManager = {
         }
     },
 
+    /**
+     * Remove the user location marker
+     */
+    clearUserMarker() {
+        if (this.userMarker) {
+            this.map.removeLayer(this.userMarker);
+            this.userMarker = null;
+        }
+    },
+
     /**
      * Clear facility markers
      */
@@ -191,6 +367,131 @@ const MapManager = {
         }
     },
 
+    /**
+     * Get the current viewport bounds
+     * @returns {object} { south, west, north, east }
+     */
+    getViewportBounds() {
+        const bounds = this.map.getBounds();
+        return {
+            south: bounds.getSouth(),
+            west: bounds.getWest(),
+            north: bounds.getNorth(),
+            east: bounds.getEast()
+        };
+    },
+
+    /**
+     * Get the viewport aspect ratio
+     * @returns {number} Height / width in pixels
+     */
+    getViewportAspectRatio() {
+        const size = this.map.getSize();
+        return size.x > 0 ? size.y / size.x : 1;
+    },
+
+    /**
+     * Draw a response-time coverage grid
+     * @param {Array} cells - Cells with lat/lon centre, minutes, survivalRate and urgency
+     * @param {object} cellSize - Cell size in degrees { lat, lon }
+     */
+    showCoverage(cells, cellSize) {
+        this.clearCoverage();
+        this.coverageLayer = L.layerGroup().addTo(this.map);
+
+        cells.forEach(cell => {
+            const bounds = [
+                [cell.lat - cellSize.lat / 2, cell.lon - cellSize.lon / 2],
+                [cell.lat + cellSize.lat / 2, cell.lon + cellSize.lon / 2]
+            ];
+            L.rectangle(bounds, {
+                stroke: false,
+                fillColor: SurvivalCalculator.getColorByUrgency(cell.urgency),
+                fillOpacity: 0.35,
+                interactive: true
+            })
+                .bindTooltip(`
+                    ${this.formatFacilityType(cell.responder)}: ${cell.estimated ? '~' : ''}${cell.minutes.toFixed(1)} min<br>
+                    Survival: ${cell.survivalRate.toFixed(0)}%
+                `)
+                .on('click', (e) => this.onMapClick(e.latlng))
+                .addTo(this.coverageLayer);
+        });
+
+        this.showCoverageLegend();
+    },
+
+    /**
+     * Add a legend for the coverage layer
+     */
+    showCoverageLegend() {
+        if (this.coverageLegend) {
+            return;
+        }
+
+        this.coverageLegend = L.control({ position: 'bottomright' });
+        this.coverageLegend.onAdd = () => {
+            const div = L.DomUtil.create('div', 'coverage-legend');
+            div.innerHTML = `
+                <strong>Fastest defibrillator response</strong>
+                <div><span style="background: ${SurvivalCalculator.getColorByUrgency('green')};"></span>&lt; 5 min</div>
+                <div><span style="background: ${SurvivalCalculator.getColorByUrgency('yellow')};"></span>5-10 min</div>
+                <div><span style="background: ${SurvivalCalculator.getColorByUrgency('red')};"></span>&gt; 10 min</div>
+            `;
+            return div;
+        };
+        this.coverageLegend.addTo(this.map);
+    },
+
+    /**
+     * Remove the coverage layer and legend
+     */
+    clearCoverage() {
+        if (this.coverageLayer) {
+            this.map.removeLayer(this.coverageLayer);
+            this.coverageLayer = null;
+        }
+        if (this.coverageLegend) {
+            this.map.removeControl(this.coverageLegend);
+            this.coverageLegend = null;
+        }
+    },
+
+    /**
+     * Show the planned drone bases with their range
+     * @param {Array} bases - Planned bases from DroneAED
+     * @param {number} range - Maximum range in km
+     */
+    drawDroneBases(bases, range) {
+        if (this.droneLayer) {
+            this.map.removeLayer(this.droneLayer);
+        }
+        this.droneLayer = L.layerGroup().addTo(this.map);
+
+        const icon = this.facilityIcons.drone_aed;
+        bases.forEach(base => {
+            L.circle([base.lat, base.lon], {
+                radius: range * 1000,
+                color: icon.color,
+                weight: 1,
+                dashArray: '4, 6',
+                fillOpacity: 0.05,
+                interactive: false
+            }).addTo(this.droneLayer);
+            L.marker([base.lat, base.lon], {
+                icon: L.divIcon({
+                    className: 'facility-marker',
+                    html: `<div style="font-size: 22px; opacity: 0.8;">${icon.emoji}</div>`,
+                    iconSize: [30, 30],
+                    iconAnchor: [15, 15]
+                })
+            })
+                .bindPopup(`<div class="popup-facility-name">${icon.emoji} ${this.escape(base.properties.name)}</div>
+                    <div class="popup-facility-type">Planned · ${range} km range</div>`)
+                .addTo(this.droneLayer);
+        });
+    },
+
     /**
      * Format facility type for display
      * @param {string} type - Facility type
@@ -198,8 +499,11 @@ const MapManager = {
      */
     formatFacilityType(type) {
         const types = {
+            aed: 'Public AED',
+            drone_aed: 'Drone AED',
             fire_station: 'Fire Station',
             ambulance_station: 'Ambulance Station',
+            air_ambulance: 'Air Ambulance',
             hospital: 'Hospital'
         };
         return types[type] || type;
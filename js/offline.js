@@ -0,0 +1,141 @@
+/**
+ * Offline Module
+ * Registers the service worker, tracks connectivity and downloads map tiles
+ * for regions the user wants to assess without a connection
+ */
+
+const OfflineManager = {
+    serviceWorkerUrl: 'sw.js',
+    tileCache: 'aedrisk-tiles', // Must match TILE_CACHE in sw.js
+    extraZoomLevels: 3, // Zoom levels downloaded below the current view
+    maxDownloadZoom: 16,
+    maxRegionTiles: 1500, // Keep downloads small (OSM tile usage policy)
+    online: true,
+    onChange: null,
+
+    /**
+     * Register the service worker and start watching connectivity
+     * @param {Function} [onChange] - Called with true/false when connectivity changes
+     */
+    init(onChange = null) {
+        if ('serviceWorker' in navigator) {
+            // Tell the worker which servers' responses to keep for offline use
+            const query = new URLSearchParams();
+            [GeocodingService.baseUrl, RoutingService.baseUrl].forEach(url => {
+                query.append('api', new URL(url, window.location.href).hostname);
+            });
+            navigator.serviceWorker.register(`${this.serviceWorkerUrl}?${query}`).catch(error => {
+                console.error('Service worker registration failed:', error);
+            });
+        }
+
+        this.online = navigator.onLine;
+        this.onChange = onChange;
+        window.addEventListener('online', () => this.setOnline(true));
+        window.addEventListener('offline', () => this.setOnline(false));
+    },
+
+    setOnline(online) {
+        this.online = online;
+        if (this.onChange) {
+            this.onChange(online);
+        }
+    },
+
+    /**
+     * Whether offline downloads are possible in this browser
+     * @returns {boolean} True if the Cache API and service workers are available
+     */
+    isSupported() {
+        return typeof caches !== 'undefined' && 'serviceWorker' in navigator;
+    },
+
+    /**
+     * List the tiles covering the bounds from one zoom level to another
+     * @param {object} bounds - { south, west, north, east }
+     * @param {number} minZoom - First zoom level
+     * @param {number} maxZoom - Last zoom level
+     * @returns {Array} Tile coordinates { x, y, z }
+     */
+    getTiles(bounds, minZoom, maxZoom) {
+        const tiles = [];
+        for (let z = minZoom; z <= maxZoom; z++) {
+            const [minX, minY] = this.toTile(bounds.north, bounds.west, z);
+            const [maxX, maxY] = this.toTile(bounds.south, bounds.east, z);
+            for (let x = minX; x <= maxX; x++) {
+                for (let y = minY; y <= maxY; y++) {
+                    tiles.push({ x, y, z });
+                }
+            }
+        }
+        return tiles;
+    },
+
+    /**
+     * Convert a point to Web Mercator tile coordinates
+     * @returns {Array} [x, y]
+     */
+    toTile(lat, lon, z) {
+        const n = Math.pow(2, z);
+        const latRad = lat * (Math.PI / 180);
+        const x = Math.floor(((lon + 180) / 360) * n);
+        const y = Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n);
+        const clamp = value => Math.min(n - 1, Math.max(0, value));
+        return [clamp(x), clamp(y)];
+    },
+
+    /**
+     * Build the same tile URL Leaflet requests, so the service worker finds it
+     * @param {object} tile - { x, y, z }
+     * @returns {string} Tile URL
+     */
+    getTileUrl(tile) {
+        const subdomains = MapManager.tileSubdomains;
+        return L.Util.template(MapManager.tileUrl, {
+            ...tile,
+            s: subdomains[Math.abs(tile.x + tile.y) % subdomains.length]
+        });
+    },
+
+    /**
+     * Store the map tiles for a region so it can be viewed offline
+     * @param {object} bounds - { south, west, north, east }
+     * @param {number} zoom - Current map zoom (first level downloaded)
+     * @param {Function} [onProgress] - Called with (completed, total)
+     * @returns {Promise<object>} { downloaded, failed }
+     */
+    async downloadRegion(bounds, zoom, onProgress = null) {
+        const maxZoom = Math.min(this.maxDownloadZoom, zoom + this.extraZoomLevels);
+        const tiles = this.getTiles(bounds, Math.round(zoom), maxZoom);
+        if (tiles.length > this.maxRegionTiles) {
+            throw new Error(`This area needs ${tiles.length} map tiles (limit ${this.maxRegionTiles}). Zoom in and try again.`);
+        }
+
+        const cache = await caches.open(this.tileCache);
+        let downloaded = 0;
+        let failed = 0;
+
+        // One tile at a time to stay within the tile server's usage policy
+        for (const tile of tiles) {
+            const url = this.getTileUrl(tile);
+            try {
+                if (!await cache.match(url)) {
+                    const response = await fetch(url);
+                    if (!response.ok) {
+                        throw new Error(`Tile request failed (${response.status})`);
+                    }
+                    await cache.put(url, response);
+                }
+                downloaded++;
+            } catch (error) {
+                console.error('Tile download error:', error);
+                failed++;
+            }
+            if (onProgress) {
+                onProgress(downloaded + failed, tiles.length);
+            }
+        }
+
+        return { downloaded, failed };
+    }
+};
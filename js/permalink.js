@@ -0,0 +1,82 @@
+/**
+ * Permalink Module
+ * Encodes an assessment (location and options) in the URL query string
+ */
+
+const Permalink = {
+    // State key to query parameter name
+    params: {
+        lat: 'lat',
+        lon: 'lon',
+        name: 'name',
+        time: 't',
+        cpr: 'cpr',
+        cprStart: 'cprStart',
+        model: 'model',
+        floor: 'floor',
+        driveway: 'driveway',
+        season: 'season', // Only when chosen manually
+        snow: 'snow',
+        precision: 'prec' // Geocoding precision, when the location is approximate
+    },
+
+    /**
+     * Encode assessment state as a query string
+     * @param {object} state - Assessment state (see params for keys)
+     * @returns {string} Query string without the leading '?'
+     */
+    encode(state) {
+        const query = new URLSearchParams();
+        Object.keys(this.params).forEach(key => {
+            let value = state[key];
+            if (value === undefined || value === null || value === '') {
+                return;
+            }
+            if (key === 'lat' || key === 'lon') {
+                value = Number(value).toFixed(6);
+            }
+            query.set(this.params[key], value);
+        });
+        return query.toString();
+    },
+
+    /**
+     * Decode assessment state from a query string
+     * @param {string} search - Query string (with or without '?')
+     * @returns {object|null} State, or null if it has no valid location
+     */
+    decode(search) {
+        const query = new URLSearchParams(search);
+        const state = {};
+        Object.keys(this.params).forEach(key => {
+            if (query.has(this.params[key])) {
+                state[key] = query.get(this.params[key]);
+            }
+        });
+
+        const lat = parseFloat(state.lat);
+        const lon = parseFloat(state.lon);
+        if (!Number.isFinite(lat) || !Number.isFinite(lon) ||
+            Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+            return null;
+        }
+
+        return {
+            ...state,
+            lat: lat,
+            lon: lon,
+            cprStart: state.cprStart === undefined ? undefined : parseFloat(state.cprStart),
+            floor: state.floor === undefined ? undefined : parseInt(state.floor, 10),
+            driveway: state.driveway === undefined ? undefined : parseFloat(state.driveway)
+        };
+    },
+
+    /**
+     * Build a URL for the current page with the given state
+     * @param {object} state - Assessment state
+     * @returns {string} Relative URL
+     */
+    buildUrl(state) {
+        return `${window.location.pathname}?${this.encode(state)}${window.location.hash}`;
+    }
+};
@@ -0,0 +1,333 @@
+/**
+ * Report Module
+ * Builds a printable assessment report (save as PDF from the browser print dialog)
+ */
+
+const ReportGenerator = {
+    mapWidth: 640,
+    mapHeight: 360,
+
+    disclaimers: [
+        'Estimates only: travel times and routes are based on map data and may not reflect actual emergency response times.',
+        'Not for emergency use: this report is for education and planning. In an emergency, always call 911 immediately.',
+        'Response times vary with traffic, weather, vehicle availability, call priority and road conditions.',
+        'Facility locations come from OpenStreetMap and may not be current. Verify facility information independently.',
+        'Survival statistics are research averages and do not predict individual outcomes.'
+    ],
+
+    /**
+     * Build the report HTML
+     * @param {object} data - { address, location, locationSource, fireService, facilities, routes, stats, assessedAt, arrestTime }
+     * @returns {string} Report HTML
+     */
+    build(data) {
+        const formatted = SurvivalCalculator.formatForDisplay(data.stats);
+
+        return `
+            <header class="report-header">
+                <h1>AED Risk Assessment Report</h1>
+                <p><strong>Location:</strong> ${this.escape(data.address)}</p>
+                <p><strong>Coordinates:</strong> ${data.location.lat.toFixed(5)}, ${data.location.lon.toFixed(5)}</p>
+                ${data.locationSource && data.locationSource.precision === 'fsa'
+                    ? '<p><strong>Warning:</strong> located by postal code area centre only; the real address may be many kilometres away.</p>'
+                    : ''}
+                ${data.fireService && data.fireService.status === 'outside'
+                    ? '<p><strong>Warning:</strong> outside every fire service area; no fire department may be obliged to respond, and no fire response is counted.</p>'
+                    : ''}
+                ${this.renderMilestones(data.stats)}
+                <p><strong>Generated:</strong> ${data.assessedAt.toLocaleString()}</p>
+            </header>
+
+            <section class="report-section">
+                <h2>Map</h2>
+                ${this.renderMapSnapshot(data.location, data.facilities, data.routes)}
+            </section>
+
+            <section class="report-section">
+                <h2>Nearest Facilities</h2>
+                ${this.renderFacilityTable(data.facilities, data.routes, formatted, data.fireService)}
+            </section>
+
+            <section class="report-section">
+                <h2>Cardiac Arrest Survival Comparison</h2>
+                ${this.renderSurvivalChart(formatted)}
+            </section>
+
+            <section class="report-section">
+                <h2>Model and Assumptions</h2>
+                ${this.renderAssumptions(data)}
+            </section>
+
+            <section class="report-section">
+                <h2>Data Sources</h2>
+                ${this.renderDataSources(data)}
+            </section>
+
+            <section class="report-section report-disclaimer">
+                <h2>Disclaimers</h2>
+                <ul>${this.disclaimers.map(text => `<li>${text}</li>`).join('')}</ul>
+            </section>
+        `;
+    },
+
+    /**
+     * Render a static SVG map of the location, facilities and route lines
+     */
+    renderMapSnapshot(location, facilities, routes) {
+        const points = [[location.lon, location.lat]];
+        Object.values(routes).forEach(route => {
+            if (route && route.geometry) {
+                points.push(...route.geometry.coordinates);
+            }
+        });
+        Object.values(facilities).forEach(facility => {
+            if (facility) {
+                points.push([facility.lon, facility.lat]);
+            }
+        });
+
+        const project = this.createProjection(points);
+
+        const lines = Object.keys(routes).map(type => {
+            const route = routes[type];
+            if (!route || !route.geometry) return '';
+            const path = route.geometry.coordinates.map(coord => project(coord).join(',')).join(' ');
+            return `<polyline points="${path}" fill="none" stroke="${MapManager.facilityIcons[type].color}"
+                        stroke-width="3" stroke-opacity="0.8" ${route.estimated ? 'stroke-dasharray="8,6"' : ''}/>`;
+        }).join('');
+
+        const markers = Object.keys(facilities).map(type => {
+            const facility = facilities[type];
+            if (!facility) return '';
+            const [x, y] = project([facility.lon, facility.lat]);
+            return `<text x="${x}" y="${y}" font-size="18" text-anchor="middle" dominant-baseline="central">${MapManager.facilityIcons[type].emoji}</text>`;
+        }).join('');
+
+        const [ux, uy] = project([location.lon, location.lat]);
+
+        return `
+            <svg class="report-map" viewBox="0 0 ${this.mapWidth} ${this.mapHeight}" xmlns="http://www.w3.org/2000/svg">
+                <rect width="100%" height="100%" fill="#f1f3f5"/>
+                ${lines}
+                ${markers}
+                <circle cx="${ux}" cy="${uy}" r="8" fill="#667eea" stroke="white" stroke-width="3"/>
+            </svg>
+            <p class="report-note">Schematic map (Web Mercator). Dashed lines are straight-line estimates. Map data © OpenStreetMap contributors.</p>
+        `;
+    },
+
+    /**
+     * Create a Web Mercator projection that fits the points into the map box
+     * @param {Array} points - [lon, lat] pairs
+     * @returns {Function} Maps [lon, lat] to [x, y] in SVG units
+     */
+    createProjection(points) {
+        const mercator = ([lon, lat]) => [
+            lon * (Math.PI / 180),
+            Math.log(Math.tan(Math.PI / 4 + (lat * (Math.PI / 180)) / 2))
+        ];
+        const projected = points.map(mercator);
+        const xs = projected.map(p => p[0]);
+        const ys = projected.map(p => p[1]);
+        const minX = Math.min(...xs);
+        const maxX = Math.max(...xs);
+        const minY = Math.min(...ys);
+        const maxY = Math.max(...ys);
+
+        const padding = 30;
+        const spanX = Math.max(maxX - minX, 1e-6);
+        const spanY = Math.max(maxY - minY, 1e-6);
+        const scale = Math.min(
+            (this.mapWidth - padding * 2) / spanX,
+            (this.mapHeight - padding * 2) / spanY
+        );
+        const offsetX = (this.mapWidth - spanX * scale) / 2;
+        const offsetY = (this.mapHeight - spanY * scale) / 2;
+
+        return point => {
+            const [x, y] = mercator(point);
+            return [
+                +(offsetX + (x - minX) * scale).toFixed(1),
+                +(this.mapHeight - offsetY - (y - minY) * scale).toFixed(1)
+            ];
+        };
+    },
+
+    /**
+     * Render the facility results table
+     */
+    renderFacilityTable(facilities, routes, formatted, fireService = null) {
+        const rows = Object.keys(MapManager.facilityIcons).map(type => {
+            const facility = facilities[type];
+            const route = routes[type];
+            const stat = formatted[type];
+            const label = `${MapManager.facilityIcons[type].emoji} ${MapManager.formatFacilityType(type)}`;
+
+            if (!facility || !route || !stat) {
+                // Drone AEDs and the air ambulance are only listed where they respond
+                if (type === 'air_ambulance' || type === 'drone_aed') {
+                    return '';
+                }
+                const none = type === 'fire_station' && fireService && fireService.stations.length === 0
+                    ? this.escape(fireService.label)
+                    : 'None found';
+                return `<tr><td>${label}</td><td colspan="5">${none}</td></tr>`;
+            }
+
+            return `
+                <tr>
+                    <td>${label}</td>
+                    <td>${this.escape(facility.properties.name || 'Unknown')}${type === 'fire_station' && fireService
+                        ? `<br><small>${this.escape(fireService.label)}</small>`
+                        : ''}${route.destination
+                        ? `<br><small>${this.escape(route.destination.reason)}</small>`
+                        : ''}</td>
+                    <td>${route.distance.toFixed(2)} km</td>
+                    <td>${route.estimated ? '~' : ''}${stat.travelMinutes} min${route.emergency
+                        ? `<br><small>civilian ${route.civilianDuration.toFixed(1)} min</small>`
+                        : ''}</td>
+                    <td>${stat.minutes} min</td>
+                    <td>${stat.survivalRate}</td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <table class="report-table">
+                <thead>
+                    <tr>
+                        <th>Responder</th><th>Facility</th><th>Distance</th>
+                        <th>Travel</th><th>Total Response</th><th>Survival</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    },
+
+    /**
+     * Render the survival comparison as print-friendly bars
+     */
+    renderSurvivalChart(formatted) {
+        const baseline = SurvivalCalculator.getBaselineSurvival();
+        const curveLabels = SurvivalCalculator.getCurveLabels();
+
+        const rows = SurvivalCalculator.generateComparisonData(formatted).map(item => {
+            const bar = (rate, className) => `
+                <div class="report-bar ${className}">
+                    <div class="report-bar-fill" style="width: ${(rate / baseline) * 100}%; background: ${item.color};"></div>
+                    <span>${rate.toFixed(0)}%</span>
+                </div>
+            `;
+            return `
+                <div class="report-chart-row">
+                    <div class="report-chart-label">${item.label}</div>
+                    <div class="report-chart-bars">
+                        ${bar(item.survivalRate, 'selected')}
+                        ${item.comparisonSurvivalRate === undefined ? '' : bar(item.comparisonSurvivalRate, 'comparison')}
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        return `
+            <p class="report-note">Upper bar: ${curveLabels.selected}. Lower bar: ${curveLabels.comparison}.</p>
+            ${rows}
+        `;
+    },
+
+    /**
+     * Render time to first defibrillation and time to definitive care
+     */
+    renderMilestones(stats) {
+        const { firstDefibrillation, definitiveCare } = SurvivalCalculator.getMilestones(stats);
+        const defibrillation = firstDefibrillation
+            ? `${firstDefibrillation.minutes.toFixed(1)} min (${this.escape(firstDefibrillation.label)})`
+            : 'no defibrillator found';
+        const care = definitiveCare
+            ? `${definitiveCare.minutes.toFixed(1)} min${definitiveCare.byAmbulance ? ' (by ambulance)' : ''}`
+            : 'no hospital found';
+        return `<p><strong>First defibrillation:</strong> ${defibrillation} &middot; <strong>Definitive care:</strong> ${care}</p>`;
+    },
+
+    /**
+     * Render the survival model and the assumptions behind the numbers
+     */
+    renderAssumptions(data) {
+        const model = SurvivalCalculator.getModel();
+        const { floor, drivewayMeters } = ResponseIntervals.patientAccess;
+
+        const timelines = Object.keys(data.stats).map(type => {
+            const stat = data.stats[type];
+            const parts = stat.timeline.intervals
+                .map(interval => `${interval.label} ${interval.minutes.toFixed(1)} min`)
+                .join(' + ');
+            return `<li><strong>${MapManager.formatFacilityType(type)}</strong> (${stat.timeline.profile.replace(/_/g, ' ')}): ${parts}</li>`;
+        }).join('');
+
+        const emergency = Object.values(data.routes)
+            .filter(route => route.emergency)
+            .map(route => EmergencyProfile.describe(route.emergency));
+        const cottageSpeeds = RoadAttributes.categories
+            .map(category => `${category.label.toLowerCase()} ${category.speed}`)
+            .join(', ');
+        const roadWarning = RoadAttributes.getDetectionWarning(RoutingService.getProvider());
+        const crossing = Object.values(data.routes).map(route => route.crossing).find(Boolean);
+        const speeds = EmergencyProfile.roadClasses
+            .map(roadClass => `${roadClass.label.toLowerCase()} ${roadClass.speed}`)
+            .join(', ');
+
+        return `
+            <p><strong>Survival model:</strong> ${model.name}</p>
+            <p><strong>Formula:</strong> <code>${model.formula}</code></p>
+            <p><strong>Source:</strong> ${model.citation}</p>
+            <p><strong>CPR scenario:</strong> ${SurvivalCalculator.getCurveLabels().selected}</p>
+            <p><strong>Time of cardiac arrest:</strong> ${data.arrestTime.toLocaleString()}</p>
+            <p><strong>Patient access:</strong> floor ${floor}, driveway/trail ${drivewayMeters} m</p>
+            <p><strong>Public AED retrieval:</strong> walking round trip at ${(RoutingService.walkingSpeed * 3.6).toFixed(1)} km/h,
+                ${RoutingService.walkingDetourFactor}× straight-line distance, within ${FacilitiesManager.aedSearchRadius} km.
+                ${FacilitiesManager.unknownHoursNote}.</p>
+            <p><strong>Cottage roads:</strong> ${cottageSpeeds} km/h, identified from OpenStreetMap road tags
+                (highway class, surface, tracktype, access, seasonal)${roadWarning
+                    ? `<br><strong>Warning:</strong> ${this.escape(roadWarning)}`
+                    : ''}</p>
+            <p><strong>Road conditions:</strong> ${SeasonalConditions.describe().join('; ')}</p>
+            ${crossing ? `<p><strong>Water access:</strong> ${this.escape(WaterAccess.describe(crossing))}</p>` : ''}
+            ${data.routes.drone_aed ? `<p><strong>Drone AED:</strong> ${this.escape(DroneAED.describe(data.routes.drone_aed))}
+                (from ${this.escape(data.facilities.drone_aed.properties.name || 'Unknown')})</p>` : ''}
+            ${data.routes.air_ambulance ? `<p><strong>Air ambulance:</strong> ${this.escape(AirAmbulance.describe(data.routes.air_ambulance))}
+                (straight line from ${this.escape(data.facilities.air_ambulance.properties.name || 'Unknown')})</p>` : ''}
+            ${emergency.length > 0 ? `<p><strong>Responder travel:</strong> lights and sirens at ${speeds} km/h
+                (${[...new Set(emergency)].join('; ')}); civilian times shown for comparison</p>` : ''}
+            <p><strong>Response intervals:</strong></p>
+            <ul>${timelines}</ul>
+        `;
+    },
+
+    /**
+     * Render data timestamps and services used
+     */
+    renderDataSources(data) {
+        const files = Object.keys(FacilitiesManager.dataTimestamps).map(url => {
+            const modified = FacilitiesManager.dataTimestamps[url];
+            return `<li>${url}: ${modified ? new Date(modified).toLocaleString() : 'last update unknown'}</li>`;
+        }).join('');
+        const estimated = Object.values(data.routes).some(route => route.estimated && route.mode !== 'walking');
+
+        return `
+            <ul>
+                ${files}
+                <li>Routing: ${RoutingService.getProvider().name} (${this.escape(RoutingService.baseUrl)}), calculated ${data.assessedAt.toLocaleString()}
+                    ${estimated ? '- some routes are straight-line estimates because routing was unavailable' : ''}</li>
+                <li>Geocoding: ${GeocodingService.getProvider().name} (${this.escape(GeocodingService.baseUrl)}) / OpenStreetMap;
+                    postal code areas from ${this.escape(GeocodingService.postalCodeUrl)}</li>
+            </ul>
+        `;
+    },
+
+    escape(text) {
+        const div = document.createElement('div');
+        div.textContent = text == null ? '' : String(text);
+        return div.innerHTML;
+    }
+};
@@ -0,0 +1,162 @@
+/**
+ * Request Manager
+ * Shared HTTP layer for the geocoding and routing services: an LRU cache of
+ * responses, per-service rate limits (Nominatim allows 1 request per second),
+ * and cancellation of requests that have been superseded
+ */
+
+const RequestManager = {
+    cacheLimit: 300, // Responses kept (least recently used are dropped first)
+    cache: new Map(), // Insertion order doubles as recency order
+    limiters: {}, // name → { interval (ms), last (timestamp), queue (Promise) }
+    channels: {}, // name → AbortController of the latest request on that channel
+
+    /**
+     * Set the minimum time between requests sharing a rate limit
+     * @param {string} name - Limiter name, e.g. 'geocoding'
+     * @param {number} interval - Milliseconds between requests (0 for no limit)
+     */
+    setRateLimit(name, interval) {
+        const limiter = this.limiters[name] || { last: 0, queue: Promise.resolve() };
+        limiter.interval = interval;
+        this.limiters[name] = limiter;
+    },
+
+    /**
+     * Fetch JSON through the cache, rate limiter and cancellation channels
+     * @param {string} url - Request URL
+     * @param {object} [options]
+     * @param {string} [options.cacheKey] - Cache the response under this key (normalised query or coordinates)
+     * @param {string} [options.limiter] - Rate limit to wait for
+     * @param {string} [options.channel] - A new request on the channel cancels the previous one
+     * @param {AbortSignal} [options.signal] - Caller's cancellation signal
+     * @param {object} [options.headers] - Request headers
+     * @returns {Promise<object>} Parsed response (a copy; safe to modify)
+     */
+    async fetchJSON(url, { cacheKey = null, limiter = null, channel = null, signal = null, headers = {} } = {}) {
+        // Supersede the previous request first, even if this one is answered from the cache
+        if (channel) {
+            this.cancel(channel);
+        }
+
+        if (cacheKey && this.cache.has(cacheKey)) {
+            const data = this.cache.get(cacheKey);
+            this.cache.delete(cacheKey);
+            this.cache.set(cacheKey, data);
+            return this.copy(data);
+        }
+
+        const controller = new AbortController();
+        if (signal) {
+            if (signal.aborted) {
+                controller.abort();
+            } else {
+                signal.addEventListener('abort', () => controller.abort(), { once: true });
+            }
+        }
+        if (channel) {
+            this.channels[channel] = controller;
+        }
+
+        try {
+            await this.waitForTurn(limiter, controller.signal);
+
+            const response = await fetch(url, { headers, signal: controller.signal });
+            if (!response.ok) {
+                throw new Error(`Request failed (${response.status})`);
+            }
+            const data = await response.json();
+
+            if (cacheKey) {
+                this.remember(cacheKey, data);
+            }
+            return this.copy(data);
+        } finally {
+            if (channel && this.channels[channel] === controller) {
+                delete this.channels[channel];
+            }
+        }
+    },
+
+    /**
+     * Cancel the pending request on a channel, if any
+     * @param {string} channel - Channel name
+     */
+    cancel(channel) {
+        if (this.channels[channel]) {
+            this.channels[channel].abort();
+            delete this.channels[channel];
+        }
+    },
+
+    /**
+     * Whether an error comes from a cancelled request
+     * @param {Error} error - Caught error
+     * @returns {boolean} True for cancellations, which callers should not report
+     */
+    isAbortError(error) {
+        return !!error && error.name === 'AbortError';
+    },
+
+    /**
+     * Wait until the rate limit allows another request. Requests take turns in
+     * the order they were made; cancelled requests give up their turn.
+     * @param {string} name - Limiter name (no wait if unknown or unlimited)
+     * @param {AbortSignal} signal - Cancellation signal
+     */
+    async waitForTurn(name, signal) {
+        const limiter = this.limiters[name];
+        if (!limiter || !limiter.interval) {
+            return;
+        }
+
+        const turn = limiter.queue.then(async () => {
+            this.throwIfAborted(signal);
+            await this.delay(limiter.last + limiter.interval - Date.now(), signal);
+            limiter.last = Date.now();
+        });
+        limiter.queue = turn.catch(() => {});
+        await turn;
+    },
+
+    /**
+     * Resolve after a delay, or reject early if the request is cancelled
+     */
+    delay(ms, signal) {
+        if (ms <= 0) {
+            return Promise.resolve();
+        }
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, ms);
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(this.abortError());
+            }, { once: true });
+        });
+    },
+
+    throwIfAborted(signal) {
+        if (signal.aborted) {
+            throw this.abortError();
+        }
+    },
+
+    abortError() {
+        return new DOMException('Request cancelled', 'AbortError');
+    },
+
+    /**
+     * Add a response to the cache, dropping the least recently used beyond the limit
+     */
+    remember(key, data) {
+        this.cache.delete(key);
+        this.cache.set(key, data);
+        while (this.cache.size > this.cacheLimit) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+    },
+
+    copy(data) {
+        return typeof structuredClone === 'function' ? structuredClone(data) : JSON.parse(JSON.stringify(data));
+    }
+};
@@ -0,0 +1,178 @@
+/**
+ * Response Interval Model
+ * Composes the full time from collapse to responder at the patient's side:
+ *   911 call processing and dispatch
+ *   crew turnout (an aircraft's or drone's launch)
+ *   travel, and the walk in from the road for pins off it
+ *   a bystander fetching a drone AED from its drop point
+ *   curbside to patient access
+ * For the hospital, the ambulance's time on scene and the transport follow
+ * its response (see composeTransport).
+ */
+
+const ResponseIntervals = {
+    // Intervals in the order they happen
+    intervals: [
+        { key: 'callProcessing', label: '911 call processing', color: '#adb5bd' },
+        { key: 'dispatch', label: 'Dispatch', color: '#868e96' },
+        { key: 'turnout', label: 'Crew turnout', color: '#f59f00' },
+        { key: 'travel', label: 'Travel', color: '#667eea' },
+        { key: 'lastMile', label: 'Road to pin on foot', color: '#20c997' },
+        { key: 'retrieval', label: 'Bystander fetches drone AED', color: '#e8590c' },
+        { key: 'patientAccess', label: 'Curbside to patient', color: '#e64980' }
+    ],
+
+    // After the ambulance reaches the patient (see composeTransport)
+    transportIntervals: [
+        { key: 'onScene', label: 'On scene', color: '#fab005' },
+        { key: 'transport', label: 'Transport to hospital', color: '#45b7d1' }
+    ],
+    onSceneMinutes: 20, // Resuscitation and packaging before leaving for hospital
+
+    // Default intervals in minutes, per facility type (travel comes from the route).
+    // Fire stations pick a profile from their `staffing` property.
+    profiles: {
+        aed: {
+            callProcessing: 0, dispatch: 0, turnout: 0, patientAccess: 0
+        },
+        fire_station_career: {
+            callProcessing: 1.0, dispatch: 0.5, turnout: 1.3, patientAccess: 1.0
+        },
+        fire_station_volunteer: {
+            callProcessing: 1.0, dispatch: 0.5, turnout: 5.0, patientAccess: 1.0
+        },
+        ambulance_station: {
+            callProcessing: 1.0, dispatch: 0.5, turnout: 1.0, patientAccess: 1.0
+        },
+        // Requests pass to a second, air dispatch centre; turnout is the aircraft's launch time
+        air_ambulance: {
+            callProcessing: 1.0, dispatch: 2.0, turnout: 0, patientAccess: 1.0
+        },
+        // Launched by the 911 dispatcher; the bystander at the patient's side fetches the AED
+        drone_aed: {
+            callProcessing: 1.0, dispatch: 0.5, turnout: 0, patientAccess: 0
+        },
+        hospital: {
+            callProcessing: 0, dispatch: 0, turnout: 0, patientAccess: 0
+        }
+    },
+
+    // Extra patient-access delay for the assessed location
+    patientAccess: {
+        floor: 0, // Floor the patient is on (0 = ground)
+        drivewayMeters: 0 // Distance from the road to the door
+    },
+    minutesPerFloor: 0.25, // Stairs/elevator time per floor, carrying equipment
+    highRiseLobbyDelay: 1.0, // Minutes to get through a lobby and call an elevator
+    walkingSpeedWithEquipment: 1.2, // m/s
+
+    /**
+     * Set the extra patient-access delay for the assessed location
+     * @param {object} access - { floor, drivewayMeters }
+     */
+    setPatientAccess({ floor = 0, drivewayMeters = 0 }) {
+        this.patientAccess = {
+            floor: Math.max(0, floor || 0),
+            drivewayMeters: Math.max(0, drivewayMeters || 0)
+        };
+    },
+
+    /**
+     * Extra minutes to reach the patient beyond the default curbside interval
+     * @param {number} [walkedMeters] - Distance from the road already timed as the route's last mile
+     * @returns {number} Delay in minutes
+     */
+    getAccessDelay(walkedMeters = 0) {
+        const { floor, drivewayMeters } = this.patientAccess;
+        const floorDelay = floor > 0 ? this.highRiseLobbyDelay + floor * this.minutesPerFloor : 0;
+        // The driveway entry only adds what the detected last mile doesn't cover
+        const drivewayDelay = Math.max(0, drivewayMeters - walkedMeters) / this.walkingSpeedWithEquipment / 60;
+        return floorDelay + drivewayDelay;
+    },
+
+    /**
+     * Get the interval profile for a facility
+     * @param {string} type - Facility type
+     * @param {object} facility - Facility feature
+     * @returns {string} Profile key
+     */
+    getProfileKey(type, facility) {
+        if (type === 'fire_station') {
+            // Unknown staffing is treated as volunteer (the conservative assumption)
+            const staffing = facility && facility.properties.staffing;
+            return staffing === 'career' ? 'fire_station_career' : 'fire_station_volunteer';
+        }
+        return type;
+    },
+
+    /**
+     * Compose the response intervals for one responder
+     * @param {string} type - Facility type
+     * @param {object} facility - Facility feature
+     * @param {object} route - Route with duration in minutes, and lastMile when the pin is off the road
+     * @returns {object} Timeline with intervals, total minutes and profile key
+     */
+    compose(type, facility, route) {
+        const profileKey = this.getProfileKey(type, facility);
+        const profile = { ...this.profiles[profileKey] };
+
+        // A station can override its own turnout time
+        const turnout = facility && parseFloat(facility.properties.turnout_minutes);
+        if (Number.isFinite(turnout)) {
+            profile.turnout = turnout;
+        }
+        if (route.mode === 'air' || route.mode === 'drone') {
+            profile.turnout = route.launchMinutes;
+        }
+        profile.retrieval = route.retrievalMinutes || 0;
+
+        // Responders arriving by vehicle still have to reach the patient
+        const lastMile = route.lastMile || null;
+        if (profile.patientAccess > 0) {
+            profile.patientAccess += this.getAccessDelay(lastMile ? lastMile.distance * 1000 : 0);
+        }
+
+        // Travel and the last mile come from the route
+        profile.travel = route.duration;
+        profile.lastMile = lastMile ? lastMile.duration : 0;
+
+        const intervals = this.intervals
+            .map(({ key, label, color }) => ({
+                key: key,
+                label: label,
+                color: color,
+                minutes: profile[key] || 0
+            }))
+            .filter(interval => interval.minutes > 0);
+
+        return {
+            profile: profileKey,
+            intervals: intervals,
+            total: intervals.reduce((sum, interval) => sum + interval.minutes, 0)
+        };
+    },
+
+    /**
+     * Extend the ambulance's response to definitive care: time on scene, then
+     * transport to hospital (including carrying the patient back to the road)
+     * @param {object} ambulanceTimeline - Timeline from compose('ambulance_station', ...)
+     * @param {object} route - Route from the patient to the hospital
+     * @returns {object} Timeline to arrival at hospital, with profile 'ems_transport'
+     */
+    composeTransport(ambulanceTimeline, route) {
+        const minutes = {
+            onScene: this.onSceneMinutes,
+            transport: route.duration + (route.lastMile ? route.lastMile.duration : 0)
+        };
+        const intervals = [
+            ...ambulanceTimeline.intervals,
+            ...this.transportIntervals.map(({ key, label, color }) => ({ key, label, color, minutes: minutes[key] }))
+        ].filter(interval => interval.minutes > 0);
+
+        return {
+            profile: 'ems_transport',
+            intervals: intervals,
+            total: intervals.reduce((sum, interval) => sum + interval.minutes, 0)
+        };
+    }
+};
@@ -0,0 +1,182 @@
+/**
+ * Road Attributes Module
+ * Finds cottage roads from OpenStreetMap tags (highway class, surface,
+ * tracktype, access and seasonal) instead of road names, and holds the
+ * editable speed table for them.
+ *
+ * Tags for a route step come from, in order:
+ *   step.road  - { highway, surface, tracktype, access, seasonal } set by the routing adapter
+ *                (GraphHopper path details)
+ *   step.nodes - OSM node ids (OSRM annotations), looked up in data/road-attributes.json
+ *                (built by fetch_road_attributes.sh)
+ *   OSRM intersection classes - 'restricted' marks private or destination-only access
+ *
+ * The bundled lookup is empty, and OSRM and Valhalla report no tags, so out of the
+ * box only restricted-access roads are found unless GraphHopper is the provider
+ * (see getDetectionWarning).
+ */
+
+const RoadAttributes = {
+    lookupUrl: 'data/road-attributes.json',
+    ways: [], // Tags of ways with cottage road attributes
+    nodes: {}, // OSM node id → index into ways
+
+    // Slow road categories; speed (km/h) caps any vehicle on that road.
+    // A road matching several categories runs at the slowest speed.
+    categories: [
+        { id: 'seasonal', label: 'Seasonal road', speed: 20 },
+        { id: 'private', label: 'Private road / laneway', speed: 20 },
+        { id: 'track', label: 'Track', speed: 15 },
+        { id: 'unpaved', label: 'Unpaved road', speed: 40 },
+        { id: 'service', label: 'Service road / driveway', speed: 20 }
+    ],
+
+    unpavedSurfaces: [
+        'unpaved', 'gravel', 'fine_gravel', 'compacted', 'dirt', 'earth', 'ground',
+        'grass', 'sand', 'mud', 'pebblestone', 'rock', 'woodchips'
+    ],
+    restrictedAccess: ['private', 'destination', 'customers', 'delivery', 'restricted'],
+
+    /**
+     * Load the preprocessed node → road attribute lookup
+     */
+    async loadLookup() {
+        try {
+            const response = await fetch(this.lookupUrl);
+            if (!response.ok) {
+                throw new Error(`Failed to load ${this.lookupUrl}`);
+            }
+            const data = await response.json();
+            this.ways = data.ways || [];
+            this.nodes = data.nodes || {};
+        } catch (error) {
+            // Routing annotations still identify some cottage roads without the lookup
+            console.error('Error loading road attributes:', error);
+        }
+    },
+
+    /**
+     * Explain when a routing provider can't identify cottage roads: it reports no
+     * OSM tags, and no usable lookup of the OSM nodes it reports
+     * @param {object} provider - Provider from RoutingProviders
+     * @returns {string|null} Warning, or null when cottage roads can be identified
+     */
+    getDetectionWarning(provider) {
+        if (provider.roadTags || (provider.nodeIds && this.ways.length > 0)) {
+            return null;
+        }
+        const remedy = provider.nodeIds
+            ? 'build data/road-attributes.json with fetch_road_attributes.sh'
+            : 'use GraphHopper, or OSRM with data/road-attributes.json';
+        return `Cottage roads not identified: ${provider.name} reports no road tags` +
+            `${provider.nodeIds ? ' and the road attribute lookup is empty' : ''}, so only roads with ` +
+            `restricted access are slowed and other cottage roads run at car speed (${remedy})`;
+    },
+
+    /**
+     * Apply settings from AppConfig.roads
+     * @param {object} config - { speeds: { categoryId: km/h } }
+     */
+    configure({ speeds = {} } = {}) {
+        Object.keys(speeds).forEach(id => this.setSpeed(id, speeds[id]));
+    },
+
+    /**
+     * Change the speed of a slow road category
+     * @param {string} id - Category id
+     * @param {number} speed - km/h
+     */
+    setSpeed(id, speed) {
+        const category = this.categories.find(c => c.id === id);
+        if (category && speed > 0) {
+            category.speed = speed;
+        }
+    },
+
+    /**
+     * Gather the OSM tags known for a route step
+     * @param {object} step - Route step
+     * @returns {object} { highway, surface, tracktype, access, seasonal } (missing tags undefined)
+     */
+    getStepAttributes(step) {
+        const attributes = { ...this.lookupNodes(step.nodes || []), ...(step.road || {}) };
+
+        const classes = (step.intersections || []).flatMap(intersection => intersection.classes || []);
+        if (!attributes.access && classes.includes('restricted')) {
+            attributes.access = 'restricted';
+        }
+        return attributes;
+    },
+
+    /**
+     * Find the way a run of OSM nodes lies on: a segment belongs to a way
+     * when both its nodes do, so the way with the most nodes wins
+     * @param {Array} nodes - OSM node ids
+     * @returns {object} Way tags, or {} if not in the lookup
+     */
+    lookupNodes(nodes) {
+        const counts = {};
+        nodes.forEach(node => {
+            const way = this.nodes[node];
+            if (way !== undefined) {
+                counts[way] = (counts[way] || 0) + 1;
+            }
+        });
+
+        const best = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+        return best !== undefined && counts[best] >= 2 ? { ...this.ways[best] } : {};
+    },
+
+    /**
+     * Classify a road from its OSM tags
+     * @param {object} attributes - { highway, surface, tracktype, access, seasonal }
+     * @returns {object|null} { id, label, speed, reasons } for the slowest matching
+     *     category, or null for an ordinary road
+     */
+    classify(attributes) {
+        const { highway, surface, tracktype, access, seasonal } = attributes;
+        const matches = [];
+        const reasons = [];
+
+        if (seasonal && seasonal !== 'no') {
+            matches.push('seasonal');
+            reasons.push(`seasonal=${seasonal}`);
+        }
+        if (access && this.restrictedAccess.includes(access)) {
+            matches.push('private');
+            reasons.push(access === 'restricted' ? 'restricted access' : `access=${access}`);
+        }
+        if (highway === 'track') {
+            matches.push('track');
+            reasons.push(tracktype ? `highway=track (${tracktype})` : 'highway=track');
+        }
+        if (surface && this.unpavedSurfaces.includes(surface)) {
+            matches.push('unpaved');
+            reasons.push(`surface=${surface}`);
+        } else if (!surface && tracktype && tracktype !== 'grade1' && highway !== 'track') {
+            matches.push('unpaved');
+            reasons.push(`tracktype=${tracktype}`);
+        }
+        if (highway === 'service') {
+            matches.push('service');
+            reasons.push('highway=service');
+        }
+
+        if (matches.length === 0) {
+            return null;
+        }
+        const slowest = this.categories
+            .filter(category => matches.includes(category.id))
+            .sort((a, b) => a.speed - b.speed)[0];
+        return { ...slowest, reasons };
+    },
+
+    /**
+     * Classify the road a route step runs on
+     * @param {object} step - Route step
+     * @returns {object|null} Category with reasons, or null for an ordinary road
+     */
+    classifyStep(step) {
+        return this.classify(this.getStepAttributes(step));
+    }
+};
@@ -0,0 +1,341 @@
+/**
+ * Routing Provider Registry
+ * Adapters for routing engines, selected through AppConfig.routing
+ *
+ * Every provider implements:
+ *   route(from, to, options, request) - resolves to { distance (km), duration (min), geometry, legs, estimated: false }
+ *                                      where geometry is a GeoJSON LineString and legs[].steps[] carry
+ *                                      { name, distance (m), duration (s) } like OSRM steps, plus
+ *                                      OSM tags where the engine reports them (see road-attributes.js),
+ *                                      and optionally waypoints [{ lat, lon, distance (m) }]: where the
+ *                                      start and end were snapped to the road, and how far they moved
+ *   table(sources, destinations, options, request) - resolves to matrix[source][destination] of
+ *                                      { duration (min), distance (km or null) }, null where unreachable
+ * Both reject when the service fails; RoutingService handles fallbacks.
+ * Providers also declare what their steps carry for cottage road detection (see road-attributes.js):
+ *   roadTags - true if steps carry OSM tags (step.road)
+ *   nodeIds  - true if steps carry OSM node ids (step.nodes) for the road attribute lookup
+ * options: { baseUrl, profile, apiKey } (profile defaults to the provider's defaultProfile)
+ * request: { cacheKey, signal } passed through to RequestManager
+ */
+
+const RoutingProviders = {
+    providers: {},
+    defaultProvider: 'osrm',
+
+    /**
+     * Register a routing provider
+     * @param {object} provider - Provider definition with id, name, route() and table()
+     */
+    register(provider) {
+        if (!provider.id || typeof provider.route !== 'function' || typeof provider.table !== 'function') {
+            throw new Error('Routing provider requires an id, a route function and a table function');
+        }
+        this.providers[provider.id] = provider;
+    },
+
+    /**
+     * Get a provider by id, falling back to the default provider
+     * @param {string} id - Provider id
+     * @returns {object} Provider definition
+     */
+    get(id) {
+        return this.providers[id] || this.providers[this.defaultProvider];
+    },
+
+    /**
+     * List all registered providers
+     * @returns {Array} Provider definitions in registration order
+     */
+    list() {
+        return Object.values(this.providers);
+    },
+
+    /**
+     * Fetch JSON through the shared request layer, under the routing rate limit
+     * @param {string} url - Request URL
+     * @param {object} [request] - { cacheKey, signal }
+     * @returns {Promise<object>} Parsed response
+     */
+    fetchJSON(url, request = {}) {
+        return RequestManager.fetchJSON(url, { ...request, limiter: 'routing' });
+    },
+
+    /**
+     * Decode an encoded polyline into GeoJSON [lon, lat] coordinates
+     * @param {string} encoded - Encoded polyline
+     * @param {number} precision - Decimal places (5 for Google/GraphHopper, 6 for Valhalla)
+     * @returns {Array} Coordinates
+     */
+    decodePolyline(encoded, precision) {
+        const factor = Math.pow(10, precision);
+        const coordinates = [];
+        let index = 0;
+        let lat = 0;
+        let lon = 0;
+
+        const nextValue = () => {
+            let result = 0;
+            let shift = 0;
+            let byte;
+            do {
+                byte = encoded.charCodeAt(index++) - 63;
+                result |= (byte & 0x1f) << shift;
+                shift += 5;
+            } while (byte >= 0x20);
+            return (result & 1) ? ~(result >> 1) : (result >> 1);
+        };
+
+        while (index < encoded.length) {
+            lat += nextValue();
+            lon += nextValue();
+            coordinates.push([lon / factor, lat / factor]);
+        }
+        return coordinates;
+    }
+};
+
+RoutingProviders.register({
+    id: 'osrm',
+    name: 'OSRM',
+    defaultProfile: 'driving',
+    nodeIds: true, // Annotations list the OSM nodes of each step
+
+    async route(from, to, { baseUrl, profile }, request) {
+        const url = `${baseUrl}/route/v1/${profile || this.defaultProfile}/${from.lon},${from.lat};${to.lon},${to.lat}?` +
+            new URLSearchParams({
+                overview: 'full',
+                geometries: 'geojson',
+                steps: true,
+                annotations: true
+            });
+
+        const data = await RoutingProviders.fetchJSON(url, request);
+        if (data.code !== 'Ok' || !data.routes || data.routes.length === 0) {
+            throw new Error('No route found');
+        }
+
+        const route = data.routes[0];
+
+        // Give each step the OSM nodes it passes, for road attribute lookups.
+        // Consecutive step geometries share their boundary coordinate.
+        route.legs.forEach(leg => {
+            const nodes = (leg.annotation && leg.annotation.nodes) || [];
+            let offset = 0;
+            leg.steps.forEach(step => {
+                const count = step.geometry ? step.geometry.coordinates.length : 0;
+                step.nodes = nodes.slice(offset, offset + count);
+                offset += Math.max(count - 1, 0);
+            });
+        });
+
+        return {
+            distance: route.distance / 1000,
+            duration: route.duration / 60,
+            geometry: route.geometry,
+            legs: route.legs,
+            waypoints: (data.waypoints || []).map(waypoint => ({
+                lat: waypoint.location[1],
+                lon: waypoint.location[0],
+                distance: waypoint.distance
+            })),
+            estimated: false
+        };
+    },
+
+    async table(sources, destinations, { baseUrl, profile }, request) {
+        const coordinates = [...sources, ...destinations].map(p => `${p.lon},${p.lat}`).join(';');
+        const url = `${baseUrl}/table/v1/${profile || this.defaultProfile}/${coordinates}?` +
+            new URLSearchParams({
+                sources: sources.map((_, i) => i).join(';'),
+                destinations: destinations.map((_, i) => sources.length + i).join(';'),
+                annotations: 'duration,distance'
+            });
+
+        const data = await RoutingProviders.fetchJSON(url, request);
+        if (data.code !== 'Ok' || !data.durations) {
+            throw new Error('No travel time matrix returned');
+        }
+
+        return data.durations.map((row, i) => row.map((seconds, j) => {
+            if (seconds === null) {
+                return null;
+            }
+            const meters = data.distances ? data.distances[i][j] : null;
+            return { duration: seconds / 60, distance: meters === null ? null : meters / 1000 };
+        }));
+    }
+});
+
+RoutingProviders.register({
+    id: 'valhalla',
+    name: 'Valhalla',
+    defaultProfile: 'auto', // Valhalla costing model
+
+    async route(from, to, { baseUrl, profile }, request) {
+        const query = {
+            locations: [{ lat: from.lat, lon: from.lon }, { lat: to.lat, lon: to.lon }],
+            costing: profile || this.defaultProfile,
+            directions_options: { units: 'kilometers' }
+        };
+        const data = await RoutingProviders.fetchJSON(`${baseUrl}/route?json=${encodeURIComponent(JSON.stringify(query))}`, request);
+        if (!data.trip || data.trip.status !== 0) {
+            throw new Error(data.error || 'No route found');
+        }
+
+        const legs = data.trip.legs.map(leg => ({
+            steps: leg.maneuvers.map(maneuver => ({
+                name: (maneuver.street_names || []).join(' / '),
+                distance: maneuver.length * 1000,
+                duration: maneuver.time
+            }))
+        }));
+        const coordinates = data.trip.legs.flatMap(leg => RoutingProviders.decodePolyline(leg.shape, 6));
+
+        return {
+            distance: data.trip.summary.length,
+            duration: data.trip.summary.time / 60,
+            geometry: { type: 'LineString', coordinates },
+            legs: legs,
+            estimated: false
+        };
+    },
+
+    async table(sources, destinations, { baseUrl, profile }, request) {
+        const query = {
+            sources: sources.map(p => ({ lat: p.lat, lon: p.lon })),
+            targets: destinations.map(p => ({ lat: p.lat, lon: p.lon })),
+            costing: profile || this.defaultProfile
+        };
+        const data = await RoutingProviders.fetchJSON(`${baseUrl}/sources_to_targets?json=${encodeURIComponent(JSON.stringify(query))}`, request);
+        if (!data.sources_to_targets) {
+            throw new Error(data.error || 'No travel time matrix returned');
+        }
+
+        return data.sources_to_targets.map(row => row.map(cell => (
+            cell.time === null || cell.time === undefined
+                ? null
+                : { duration: cell.time / 60, distance: cell.distance === null ? null : cell.distance }
+        )));
+    }
+});
+
+RoutingProviders.register({
+    id: 'graphhopper',
+    name: 'GraphHopper',
+    defaultProfile: 'car',
+    roadTags: true, // Path details give the road class, surface, track type and access
+
+    // GraphHopper road_class values → EmergencyProfile road classes
+    roadClasses: {
+        motorway: 'motorway', trunk: 'primary', primary: 'primary', secondary: 'secondary',
+        tertiary: 'tertiary', residential: 'local', unclassified: 'local', living_street: 'local',
+        road: 'local', service: 'service', track: 'service'
+    },
+
+    async route(from, to, { baseUrl, profile, apiKey }, request) {
+        const query = new URLSearchParams({
+            profile: profile || this.defaultProfile,
+            points_encoded: false,
+            instructions: true
+        });
+        query.append('point', `${from.lat},${from.lon}`);
+        query.append('point', `${to.lat},${to.lon}`);
+        ['road_class', 'surface', 'track_type', 'road_access'].forEach(detail => query.append('details', detail));
+        if (apiKey) {
+            query.set('key', apiKey);
+        }
+
+        const data = await RoutingProviders.fetchJSON(`${baseUrl}/route?${query}`, request);
+        if (!data.paths || data.paths.length === 0) {
+            throw new Error(data.message || 'No route found');
+        }
+
+        const path = data.paths[0];
+        return {
+            distance: path.distance / 1000,
+            duration: path.time / 60000,
+            geometry: path.points,
+            legs: [{
+                steps: (path.instructions || []).map(instruction => this.toStep(instruction, path.details || {}))
+            }],
+            estimated: false
+        };
+    },
+
+    /**
+     * Convert an instruction to a step, with the OSM tags of the path details it covers
+     */
+    toStep(instruction, details) {
+        const detail = name => this.detailAt(details[name], instruction.interval);
+        const highway = detail('road_class');
+        const road = {
+            highway: highway,
+            surface: detail('surface'),
+            tracktype: detail('track_type'),
+            access: detail('road_access')
+        };
+        Object.keys(road).forEach(key => {
+            // GraphHopper reports missing tags as 'missing' or 'other'
+            if (!road[key] || ['missing', 'other', 'yes'].includes(String(road[key]).toLowerCase())) {
+                delete road[key];
+            } else {
+                road[key] = String(road[key]).toLowerCase();
+            }
+        });
+
+        return {
+            name: instruction.street_name || '',
+            distance: instruction.distance,
+            duration: instruction.time / 1000,
+            road: road,
+            roadClass: this.roadClasses[road.highway]
+        };
+    },
+
+    /**
+     * Find the detail value covering most of a point interval
+     * @param {Array} [detail] - [[from, to, value], ...]
+     * @param {Array} [interval] - [from, to] point indices
+     * @returns {*} Value, or undefined
+     */
+    detailAt(detail, interval) {
+        if (!detail || !interval) {
+            return undefined;
+        }
+        let best;
+        let bestOverlap = 0;
+        detail.forEach(([from, to, value]) => {
+            const overlap = Math.min(to, interval[1]) - Math.max(from, interval[0]);
+            if (overlap > bestOverlap) {
+                bestOverlap = overlap;
+                best = value;
+            }
+        });
+        return best;
+    },
+
+    async table(sources, destinations, { baseUrl, profile, apiKey }, request) {
+        const query = new URLSearchParams({ profile: profile || this.defaultProfile, fail_fast: false });
+        sources.forEach(p => query.append('from_point', `${p.lat},${p.lon}`));
+        destinations.forEach(p => query.append('to_point', `${p.lat},${p.lon}`));
+        query.append('out_array', 'times');
+        query.append('out_array', 'distances');
+        if (apiKey) {
+            query.set('key', apiKey);
+        }
+
+        const data = await RoutingProviders.fetchJSON(`${baseUrl}/matrix?${query}`, request);
+        if (!data.times) {
+            throw new Error(data.message || 'No travel time matrix returned');
+        }
+
+        return data.times.map((row, i) => row.map((seconds, j) => {
+            if (seconds === null) {
+                return null;
+            }
+            const meters = data.distances ? data.distances[i][j] : null;
+            return { duration: seconds / 60, distance: meters === null ? null : meters / 1000 };
+        }));
+    }
+});
@@ -1,10 +1,75 @@
 /**
  * Routing Module
- * Handles route calculation with custom speed profiles for cottage roads
+ * Handles route calculation with custom speed profiles for cottage roads.
+ * Requests go to the routing provider chosen in AppConfig.routing (see routing-providers.js).
+ * Responder routes are re-timed for lights-and-sirens travel (see emergency-profile.js).
+ * Pins off the road network are reached by boat from a launch (see water-access.js).
+ * Air ambulances and drone AEDs fly in a straight line (see air-ambulance.js and drone-aed.js).
  */
 
 const RoutingService = {
+    provider: 'osrm',
     baseUrl: 'https://router.project-osrm.org',
+    profile: null, // Provider default
+    apiKey: null,
+    minInterval: 0, // ms between routing requests
+    candidateCount: 3, // Nearest facilities per type compared by drive time
+    routedCount: 3, // Fastest matrix options per type routed in full and compared on their routes
+    ruralBuffer: 1.3, // Minimum increase over routed car time for rural areas
+    offline: false, // Set while there is no connection; routes become straight-line estimates
+
+    // Bystander AED retrieval model
+    walkingSpeed: 1.4, // m/s (~5 km/h brisk walk)
+    walkingDetourFactor: 1.2, // Walking path vs straight line
+    indoorAccessTime: 60, // Seconds to locate an AED cabinet inside a building
+
+    // Responders on foot from where the route meets the road to the pin
+    lastMileSpeed: 1.2, // m/s, walking or carrying equipment
+    lastMileMinDistance: 30, // m; closer pins count as on the road
+
+    /**
+     * Choose the routing provider and server
+     * @param {object} config - { provider, baseUrl, profile, apiKey, minInterval (ms between requests),
+     *     lastMileSpeed (m/s) }
+     */
+    configure({ provider, baseUrl, profile = null, apiKey = null, minInterval = 0, lastMileSpeed = this.lastMileSpeed }) {
+        this.provider = RoutingProviders.get(provider).id;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.profile = profile;
+        this.apiKey = apiKey;
+        this.minInterval = minInterval;
+        this.lastMileSpeed = lastMileSpeed;
+        RequestManager.setRateLimit('routing', minInterval);
+    },
+
+    /**
+     * Get the current provider settings (passed to the coverage worker)
+     * @returns {object} { provider, baseUrl, profile, apiKey, minInterval }
+     */
+    getConfig() {
+        return {
+            provider: this.provider,
+            baseUrl: this.baseUrl,
+            profile: this.profile,
+            apiKey: this.apiKey,
+            minInterval: this.minInterval
+        };
+    },
+
+    getProvider() {
+        return RoutingProviders.get(this.provider);
+    },
+
+    /**
+     * Cache key for a routing request: same provider, profile and points (to ~1 m)
+     * @param {string} kind - 'route' or 'table'
+     * @param {Array} groups - Arrays of points with lat/lon
+     * @returns {string} Cache key
+     */
+    getCacheKey(kind, ...groups) {
+        const points = groups.map(group => group.map(p => `${p.lat.toFixed(5)},${p.lon.toFixed(5)}`).join(';'));
+        return `${kind}:${this.provider}:${this.profile || ''}:${points.join('|')}`;
+    },
     
     /**
      * Calculate route between two points
@@ -12,41 +77,31 @@ const RoutingService = {
      * @param {number} fromLon - Start longitude
      * @param {number} toLat - End latitude
      * @param {number} toLon - End longitude
-     * @returns {Promise<object>} Route information with distance and time
+     * @param {object} [request] - { signal } for cancelling a superseded assessment
+     * @returns {Promise<object>} Route information with distance and time (rejects with an AbortError if cancelled)
      */
-    async calculateRoute(fromLat, fromLon, toLat, toLon) {
-        try {
-            const url = `${this.baseUrl}/route/v1/driving/${fromLon},${fromLat};${toLon},${toLat}?` + 
-                new URLSearchParams({
-                    overview: 'full',
-                    geometries: 'geojson',
-                    steps: true,
-                    annotations: true
-                });
-
-            const response = await fetch(url);
-            if (!response.ok) {
-                throw new Error('Routing request failed');
-            }
+    async calculateRoute(fromLat, fromLon, toLat, toLon, request = {}) {
+        if (this.offline) {
+            return this.estimateRoute(fromLat, fromLon, toLat, toLon);
+        }
 
-            const data = await response.json();
-            
-            if (data.code !== 'Ok' || !data.routes || data.routes.length === 0) {
-                throw new Error('No route found');
-            }
+        try {
+            const from = { lat: fromLat, lon: fromLon };
+            const to = { lat: toLat, lon: toLon };
+            const route = await this.getProvider().route(from, to, this.getConfig(), {
+                ...request,
+                cacheKey: this.getCacheKey('route', [from], [to])
+            });
 
-            const route = data.routes[0];
-            
-            // Apply custom speed profile adjustments for cottage roads
-            const adjustedTime = this.adjustTravelTimeForCottageRoads(route);
-            
-            return {
-                distance: route.distance / 1000, // Convert to km
-                duration: adjustedTime / 60, // Convert to minutes
-                geometry: route.geometry,
-                legs: route.legs
-            };
+            // Apply custom speed profile adjustments for cottage roads and the season
+            route.slowSegments = this.findSlowSegments(route);
+            route.seasonalClosures = this.findSeasonalClosures(route);
+            route.duration = this.adjustTravelTimeForCottageRoads(route) / 60;
+            return route;
         } catch (error) {
+            if (RequestManager.isAbortError(error)) {
+                throw error;
+            }
             console.error('Routing error:', error);
             // Fallback to straight-line distance estimation
             return this.estimateRoute(fromLat, fromLon, toLat, toLon);
@@ -54,69 +109,157 @@ const RoutingService = {
     },
 
     /**
-     * Adjust travel time based on road types (cottage roads slower)
-     * @param {object} route - OSRM route object
+     * Adjust travel time based on road types (cottage roads slower), winter
+     * speeds and snow (see seasonal-conditions.js)
+     * @param {object} route - Normalised provider route (duration in minutes)
      * @returns {number} Adjusted duration in seconds
      */
     adjustTravelTimeForCottageRoads(route) {
-        // Default OSRM time
-        let baseDuration = route.duration;
+        // Provider time
+        let baseDuration = route.duration * 60;
+        const seasonFactor = SeasonalConditions.getTimeFactor();
         
         // Check if we have step information
         if (!route.legs || !route.legs[0] || !route.legs[0].steps) {
             // Add 30% buffer for cottage roads (conservative estimate)
-            return baseDuration * 1.3;
+            return baseDuration * this.ruralBuffer * seasonFactor;
         }
 
         let adjustedDuration = 0;
         
         route.legs.forEach(leg => {
             leg.steps.forEach(step => {
-                const distance = step.distance; // meters
-                const roadType = step.name || '';
-                
-                // Identify cottage roads by typical characteristics
-                // In absence of detailed OSM data, we use conservative adjustments
-                const isCottageRoad = this.isCottageRoad(step);
-                
-                if (isCottageRoad) {
-                    // Cottage roads: 20 km/h = 20000 m/h = 5.56 m/s
-                    const cottageSpeed = 5.56; // m/s
-                    adjustedDuration += distance / cottageSpeed;
-                } else {
-                    // Use original timing
-                    adjustedDuration += step.duration;
-                }
+                // Cottage roads are identified from OSM tags (see road-attributes.js)
+                const slowRoad = RoadAttributes.classifyStep(step);
+                const seconds = slowRoad
+                    ? Math.max(step.duration, this.slowRoadSeconds(step, slowRoad))
+                    : step.duration;
+                adjustedDuration += seconds * SeasonalConditions.getTimeFactor(slowRoad ? slowRoad.id : null);
             });
         });
 
         // Return adjusted duration with minimum 30% increase for rural areas
-        return Math.max(adjustedDuration, baseDuration * 1.3);
+        return Math.max(adjustedDuration, baseDuration * this.ruralBuffer * seasonFactor);
     },
 
     /**
-     * Determine if a road segment is likely a cottage road
-     * @param {object} step - Route step
-     * @returns {boolean} True if likely a cottage road
+     * List the steps on roads closed in the current season (OSM seasonal=* tags)
+     * @param {object} route - Normalised provider route
+     * @returns {Array} { name, distance (km), seasonal }
      */
-    isCottageRoad(step) {
-        const name = (step.name || '').toLowerCase();
-        
-        // Keywords indicating cottage/rural roads
-        const cottageIndicators = [
-            'cottage', 'lake', 'beach', 'shore', 'island',
-            'private', 'seasonal', 'unpaved', 'gravel'
-        ];
-        
-        // Check if road name contains cottage indicators
-        const hasCottageKeyword = cottageIndicators.some(keyword => 
-            name.includes(keyword)
-        );
-        
-        // Short unnamed roads in rural areas are likely cottage roads
-        const isUnnamedShort = (!name || name === '') && step.distance < 2000;
-        
-        return hasCottageKeyword || isUnnamedShort;
+    findSeasonalClosures(route) {
+        const closures = [];
+        (route.legs || []).forEach(leg => (leg.steps || []).forEach(step => {
+            const attributes = RoadAttributes.getStepAttributes(step);
+            if (step.distance > 0 && SeasonalConditions.isClosed(attributes)) {
+                closures.push({
+                    name: step.name || 'Unnamed road',
+                    distance: step.distance / 1000,
+                    seasonal: attributes.seasonal
+                });
+            }
+        }));
+        return closures;
+    },
+
+    /**
+     * List the steps slowed to cottage road speeds and why (shown in the route popup)
+     * @param {object} route - Normalised provider route
+     * @returns {Array} { name, distance (km), label, speed (km/h), reasons, addedMinutes }
+     */
+    findSlowSegments(route) {
+        const segments = [];
+        (route.legs || []).forEach(leg => (leg.steps || []).forEach(step => {
+            const slowRoad = RoadAttributes.classifyStep(step);
+            if (!slowRoad || step.distance <= 0) {
+                return;
+            }
+            segments.push({
+                name: step.name || 'Unnamed road',
+                distance: step.distance / 1000,
+                label: slowRoad.label,
+                speed: slowRoad.speed,
+                reasons: slowRoad.reasons,
+                addedMinutes: Math.max(0, this.slowRoadSeconds(step, slowRoad) - step.duration) / 60
+            });
+        }));
+        return segments;
+    },
+
+    /**
+     * Seconds to drive a step at its cottage road speed
+     */
+    slowRoadSeconds(step, slowRoad) {
+        return step.distance / (slowRoad.speed / 3.6);
+    },
+
+    /**
+     * Re-time a routed trip for the emergency vehicle responding from a facility type.
+     * Each step is driven at the lights-and-sirens speed of its road class; the
+     * civilian time is kept for comparison.
+     * @param {object} route - Route from calculateRoute
+     * @param {string} type - Facility type
+     * @param {number} lat - Patient latitude (selects the calibration region)
+     * @param {number} lon - Patient longitude
+     * @returns {object} The route, with duration, civilianDuration and emergency
+     *     { vehicle, label, region, calibration } when a profile applies
+     */
+    applyEmergencyProfile(route, type, lat, lon) {
+        const vehicle = EmergencyProfile.getVehicle(type);
+        const steps = (route.legs || []).flatMap(leg => leg.steps || []);
+        if (!vehicle || route.estimated || steps.length === 0) {
+            return route;
+        }
+
+        const region = EmergencyProfile.getRegion(lat, lon);
+        let minutes = 0;
+        steps.forEach(step => {
+            const stepMinutes = EmergencyProfile.travelMinutes(step.distance, EmergencyProfile.classifyStep(step), vehicle);
+            // Sirens don't make a cottage road any faster
+            const slowRoad = RoadAttributes.classifyStep(step);
+            const seasonFactor = SeasonalConditions.getTimeFactor(slowRoad ? slowRoad.id : null);
+            minutes += seasonFactor * (slowRoad
+                ? Math.max(stepMinutes, this.slowRoadSeconds(step, slowRoad) / 60)
+                : stepMinutes);
+        });
+
+        return this.withEmergencyDuration(route, minutes, vehicle, region);
+    },
+
+    /**
+     * Re-time a travel time matrix cell for the emergency vehicle. Table responses
+     * have no steps, so the trip's average routed speed picks the road class.
+     * @param {object} cell - { duration, distance, routedDuration } from calculateMatrix
+     * @param {string} type - Facility type
+     * @param {number} lat - Patient latitude
+     * @param {number} lon - Patient longitude
+     * @returns {object} The cell, re-timed like applyEmergencyProfile
+     */
+    applyEmergencyProfileToCell(cell, type, lat, lon) {
+        const vehicle = EmergencyProfile.getVehicle(type);
+        if (!vehicle || !cell || !cell.distance || !cell.routedDuration) {
+            return cell;
+        }
+
+        const roadClass = EmergencyProfile.classifySpeed(cell.distance / (cell.routedDuration / 60));
+        const minutes = EmergencyProfile.travelMinutes(cell.distance * 1000, roadClass, vehicle) *
+            SeasonalConditions.getTimeFactor();
+        return this.withEmergencyDuration(cell, minutes, vehicle, EmergencyProfile.getRegion(lat, lon));
+    },
+
+    withEmergencyDuration(route, minutes, vehicle, region) {
+        const calibration = region ? region.factor : 1;
+        return {
+            ...route,
+            duration: minutes * calibration,
+            civilianDuration: route.duration,
+            emergency: {
+                vehicle: vehicle.id,
+                label: vehicle.label,
+                region: region ? region.name : null,
+                calibration: calibration
+            }
+        };
     },
 
     /**
@@ -141,7 +284,7 @@ const RoutingService = {
 
         // Estimate: road distance ~1.3x straight line, average speed 40 km/h for rural areas
         const roadDistance = distance * 1.3;
-        const duration = (roadDistance / 40) * 60; // minutes
+        const duration = (roadDistance / 40) * 60 * SeasonalConditions.getTimeFactor(); // minutes
 
         return {
             distance: roadDistance,
@@ -157,37 +300,582 @@ const RoutingService = {
         };
     },
 
+    /**
+     * Estimate the round trip a bystander makes on foot to fetch a public AED
+     * @param {number} lat - Patient latitude
+     * @param {number} lon - Patient longitude
+     * @param {object} aed - AED facility (with distance, lat/lon and properties)
+     * @returns {object} Route information; duration covers there and back
+     */
+    estimateAedRetrieval(lat, lon, aed) {
+        const walkingDistance = aed.distance * this.walkingDetourFactor; // km, one way
+
+        let seconds = (walkingDistance * 1000 * 2) / this.walkingSpeed;
+        if (aed.properties.indoor) {
+            seconds += this.indoorAccessTime;
+        }
+
+        return {
+            distance: walkingDistance,
+            duration: seconds / 60,
+            geometry: {
+                type: 'LineString',
+                coordinates: [
+                    [lon, lat],
+                    [aed.lon, aed.lat]
+                ]
+            },
+            mode: 'walking',
+            roundTrip: true,
+            estimated: true
+        };
+    },
+
     toRad(degrees) {
         return degrees * (Math.PI / 180);
     },
 
     /**
-     * Calculate routes to all nearest facilities
+     * Get drive times from a location to several facilities in one table request
+     * @param {number} lat - User latitude
+     * @param {number} lon - User longitude
+     * @param {Array} facilities - Facilities with lat/lon
+     * @param {object} [request] - { signal }
+     * @returns {Promise<Array|null>} { duration (min), distance (km), routedDuration } per facility
+     *     (null entries where unreachable), or null if the table service is unavailable
+     */
+    async calculateTravelTimeMatrix(lat, lon, facilities, request = {}) {
+        const matrix = await this.calculateMatrix([{ lat, lon }], facilities, request);
+        if (!matrix) {
+            return null;
+        }
+        return matrix[0].map((cell, i) => cell && {
+            duration: cell.duration,
+            distance: cell.distance === null ? facilities[i].distance : cell.distance,
+            routedDuration: cell.routedDuration
+        });
+    },
+
+    /**
+     * Get drive times between sets of points with a single table (matrix) request
+     * @param {Array} sources - Points with lat/lon
+     * @param {Array} destinations - Points with lat/lon
+     * @param {object} [request] - { signal }
+     * @returns {Promise<Array|null>} matrix[source][destination] of
+     *     { duration (min), distance (km or null), routedDuration (min, before the rural buffer) }
+     *     (null where unreachable),
+     *     or null if the table service is unavailable
+     */
+    async calculateMatrix(sources, destinations, request = {}) {
+        if (this.offline) {
+            return null;
+        }
+
+        try {
+            const matrix = await this.getProvider().table(sources, destinations, this.getConfig(), {
+                ...request,
+                cacheKey: this.getCacheKey('table', sources, destinations)
+            });
+
+            // Table times have no step data, so apply the same rural buffer and season as routes
+            const seasonFactor = SeasonalConditions.getTimeFactor();
+            return matrix.map(row => row.map(cell => cell && {
+                duration: cell.duration * this.ruralBuffer * seasonFactor,
+                distance: cell.distance,
+                routedDuration: cell.duration
+            }));
+        } catch (error) {
+            if (RequestManager.isAbortError(error)) {
+                throw error;
+            }
+            console.error('Travel time matrix error:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Pick the candidate with the shortest drive time, passing over candidates
+     * reached only by roads closed for the season. The travel time matrix
+     * shortlists the routedCount fastest; those are routed in full (cottage roads,
+     * season) and ranked on their routes, so the selection and its alternatives
+     * are timed the same way.
+     * @param {number} lat - User latitude
+     * @param {number} lon - User longitude
+     * @param {Array} candidates - Candidate facilities, nearest first
+     * @param {string} type - Facility type (selects the emergency vehicle profile)
+     * @param {object} [request] - { signal }
+     * @returns {Promise<object|null>} { facility, route, alternatives } or null without candidates
+     */
+    async selectFastestFacility(lat, lon, candidates, type, request = {}) {
+        if (candidates.length === 0) {
+            return null;
+        }
+        return this.rankRoutedCandidates(await this.routeFastestCandidates(lat, lon, candidates, type, request));
+    },
+
+    /**
+     * Route to the candidates worth comparing: the matrix shortlist (see
+     * selectFastestFacility), or every candidate when there is no matrix
+     * @returns {Promise<Array>} [{ facility, route }]
+     */
+    async routeFastestCandidates(lat, lon, candidates, type, request = {}) {
+        const matrix = candidates.length > 1
+            ? await this.calculateTravelTimeMatrix(lat, lon, candidates, request)
+            : null;
+
+        if (matrix) {
+            const options = candidates
+                .map((facility, i) => matrix[i] && {
+                    facility,
+                    ...this.applyEmergencyProfileToCell(matrix[i], type, lat, lon),
+                    estimated: false
+                })
+                .filter(Boolean)
+                .sort((a, b) => a.duration - b.duration);
+
+            const shortlist = options.slice(0, this.routedCount).map(option => option.facility);
+            const routed = await this.routeCandidates(lat, lon, shortlist, type, request);
+
+            // If every shortlisted route uses a road closed for the season, keep looking
+            for (const option of options.slice(this.routedCount)) {
+                if (routed.some(({ route }) => !this.usesClosedRoad(route))) {
+                    break;
+                }
+                routed.push(...await this.routeCandidates(lat, lon, [option.facility], type, request));
+            }
+
+            if (routed.length > 0) {
+                return routed;
+            }
+        }
+
+        // No matrix available: route to every candidate individually
+        return this.routeCandidates(lat, lon, candidates, type, request);
+    },
+
+    /**
+     * Route to each candidate with the responder's emergency profile
+     * @returns {Promise<Array>} [{ facility, route }]
+     */
+    async routeCandidates(lat, lon, candidates, type, request = {}) {
+        const routes = await Promise.all(
+            candidates.map(async facility => this.applyEmergencyProfile(
+                await this.calculateRoute(lat, lon, facility.lat, facility.lon, request), type, lat, lon
+            ))
+        );
+        return candidates.map((facility, i) => ({ facility, route: routes[i] }));
+    },
+
+    /**
+     * Take the fastest routed candidate that stays off roads closed for the season;
+     * if every route uses one, the fastest (its closures are flagged)
+     * @param {Array} routed - [{ facility, route }] from routeCandidates
+     * @returns {object} { facility, route, alternatives } as selectFastestFacility
+     */
+    rankRoutedCandidates(routed) {
+        const options = routed
+            .slice()
+            .sort((a, b) => (this.usesClosedRoad(a.route) - this.usesClosedRoad(b.route)) ||
+                (a.route.duration - b.route.duration));
+
+        return {
+            facility: options[0].facility,
+            route: options[0].route,
+            alternatives: options.slice(1).map(({ facility, route }) => ({
+                facility: facility,
+                duration: route.duration,
+                civilianDuration: route.civilianDuration,
+                distance: route.distance,
+                estimated: !!route.estimated
+            }))
+        };
+    },
+
+    /**
+     * Pick the base whose aircraft reaches the patient first, launch included
+     * @param {Array} bases - Candidate bases
+     * @param {Function} plan - Plans the flight from a base (AirAmbulance.planFlight or DroneAED.planFlight)
+     * @returns {object|null} { facility, route, alternatives } like selectFastestFacility, or null without
+     *     bases; alternatives are timed as they were ranked, launch included
+     */
+    selectFastestFlight(bases, plan) {
+        const flights = bases
+            .map(base => ({ facility: base, route: plan(base) }))
+            .sort((a, b) => (a.route.launchMinutes + a.route.duration) - (b.route.launchMinutes + b.route.duration));
+        if (flights.length === 0) {
+            return null;
+        }
+
+        return {
+            facility: flights[0].facility,
+            route: flights[0].route,
+            alternatives: flights.slice(1).map(({ facility, route }) => ({
+                facility: facility,
+                duration: route.launchMinutes + route.duration,
+                distance: route.distance,
+                estimated: false
+            }))
+        };
+    },
+
+    /**
+     * Pick the hospital the ambulance transports to: the fastest hospital, or
+     * the fastest 24/7 PCI centre when HospitalDestination's rule prefers it
+     * @param {number} lat - User latitude, or the boat launch for water-access pins
+     * @param {number} lon - User longitude, or the boat launch
+     * @param {Array} candidates - Candidate hospitals from HospitalDestination.findCandidates
+     * @param {object} [request] - { signal }
+     * @param {object} [crossing] - Crossing from the launch to the patient, counted in the transport
+     *     time the destination rule checks
+     * @returns {Promise<object|null>} { facility, route, alternatives } like selectFastestFacility
+     *     (routes end at lat/lon); the route carries destination { rule, cardiacCentre, reason }
+     */
+    async selectHospital(lat, lon, candidates, request = {}, crossing = null) {
+        if (candidates.length === 0) {
+            return null;
+        }
+
+        const isCentre = ({ facility }) => HospitalDestination.isCardiacCentre(facility);
+        const routed = await this.routeFastestCandidates(lat, lon, candidates, 'hospital', request);
+
+        // Cardiac centres the shortlist left out are only routed when none made it
+        const centres = HospitalDestination.rule === 'pci' && !routed.some(isCentre)
+            ? candidates.filter(facility => HospitalDestination.isCardiacCentre(facility))
+            : [];
+        if (centres.length > 0) {
+            routed.push(...await this.routeFastestCandidates(lat, lon, centres, 'hospital', request));
+        }
+
+        const nearest = this.rankRoutedCandidates(routed);
+        const centre = HospitalDestination.rule === 'pci' && routed.some(isCentre)
+            ? this.rankRoutedCandidates(routed.filter(isCentre))
+            : null;
+
+        // The rule applies to the whole transport, crossing included
+        const timed = option => (option && crossing ? { ...option, route: this.addCrossing(option.route, crossing) } : option);
+        const decision = HospitalDestination.choose(timed(nearest), timed(centre));
+        if (!decision) {
+            return null;
+        }
+
+        const selected = decision.choice === 'centre' ? centre : nearest;
+        const alternatives = selected === nearest
+            ? nearest.alternatives
+            : [
+                {
+                    facility: nearest.facility,
+                    duration: nearest.route.duration,
+                    civilianDuration: nearest.route.civilianDuration,
+                    emergency: nearest.route.emergency,
+                    distance: nearest.route.distance,
+                    estimated: !!nearest.route.estimated
+                },
+                ...nearest.alternatives.filter(alternative => alternative.facility !== centre.facility)
+            ].sort((a, b) => a.duration - b.duration);
+
+        return {
+            facility: selected.facility,
+            route: {
+                ...selected.route,
+                destination: {
+                    rule: HospitalDestination.rule,
+                    cardiacCentre: HospitalDestination.isCardiacCentre(selected.facility),
+                    reason: decision.reason
+                }
+            },
+            alternatives: alternatives
+        };
+    },
+
+    /**
+     * Whether a route crosses a road closed for the season
+     * @param {object} route - Route from calculateRoute
+     * @returns {boolean} True if it has seasonal closures
+     */
+    usesClosedRoad(route) {
+        return !!route.seasonalClosures && route.seasonalClosures.length > 0;
+    },
+
+    /**
+     * Route to the fastest of the candidate facilities for each type
      * @param {number} lat - User latitude
      * @param {number} lon - User longitude
-     * @param {object} facilities - Object with nearest facilities
-     * @returns {Promise<object>} Routes to each facility
+     * @param {object} candidates - Arrays of candidates keyed by facility type
+     * @param {object} [request] - { signal } for cancelling a superseded assessment
+     * @returns {Promise<object>} { facilities, routes, alternatives } keyed by facility type,
+     *     and chain, the ambulance's trip to the patient and on to hospital (see buildEmsChain)
      */
-    async calculateAllRoutes(lat, lon, facilities) {
+    async calculateFastestRoutes(lat, lon, candidates, request = {}) {
+        const facilities = {};
         const routes = {};
+        const alternatives = {};
+
+        // Public AEDs are fetched on foot, so compare walking round trips
+        const aedOptions = (candidates.aed || [])
+            .map(aed => ({ facility: aed, route: this.estimateAedRetrieval(lat, lon, aed) }))
+            .sort((a, b) => a.route.duration - b.route.duration);
+        if (aedOptions.length > 0) {
+            facilities.aed = aedOptions[0].facility;
+            routes.aed = aedOptions[0].route;
+            alternatives.aed = aedOptions.slice(1).map(({ facility, route }) => ({
+                facility: facility,
+                duration: route.duration,
+                distance: route.distance,
+                estimated: true
+            }));
+        }
+
+        // Air ambulances and drone AEDs fly straight to the pin
+        const flights = {
+            air_ambulance: this.selectFastestFlight(candidates.air_ambulance || [], base => AirAmbulance.planFlight(base, lat, lon)),
+            drone_aed: this.selectFastestFlight(candidates.drone_aed || [], base => DroneAED.planFlight(base, lat, lon))
+        };
+        Object.keys(flights).filter(type => flights[type]).forEach(type => {
+            facilities[type] = flights[type].facility;
+            routes[type] = flights[type].route;
+            alternatives[type] = flights[type].alternatives;
+        });
+
+        // Island and water-access properties: also time the drive to the launch and the crossing
+        const crossing = await this.findWaterAccess(lat, lon, request);
+        const select = (type, origin, via = null) => (type === 'hospital'
+            ? this.selectHospital(origin.lat, origin.lon, candidates.hospital || [], request, via)
+            : this.selectFastestFacility(origin.lat, origin.lon, candidates[type] || [], type, request));
 
-        // Calculate routes in parallel
-        const promises = [];
         const types = ['fire_station', 'ambulance_station', 'hospital'];
+        await Promise.all(types.map(async type => {
+            const [byRoad, byWater] = await Promise.all([
+                select(type, { lat, lon }),
+                crossing ? select(type, crossing.launch, crossing) : null
+            ]);
+            const road = byRoad && {
+                ...byRoad,
+                route: this.withLastMile(byRoad.route, lat, lon)
+            };
+            const water = byWater && {
+                ...byWater,
+                route: this.withWaterCrossing(byWater.route, crossing),
+                alternatives: byWater.alternatives.map(alternative => this.addCrossing(alternative, crossing))
+            };
 
-        types.forEach(type => {
-            if (facilities[type]) {
-                const facility = facilities[type];
-                promises.push(
-                    this.calculateRoute(lat, lon, facility.lat, facility.lon)
-                        .then(route => {
-                            routes[type] = route;
-                        })
-                );
+            // The boat is only used when it beats driving and walking in from the road
+            const result = water && (!road || this.getArrivalMinutes(water.route) < this.getArrivalMinutes(road.route))
+                ? water
+                : road;
+            if (result) {
+                facilities[type] = result.facility;
+                routes[type] = result.route;
+                alternatives[type] = result.alternatives;
             }
-        });
+        }));
+
+        // The air ambulance only joins the assessment where it reaches the patient before the ground ambulance
+        if (routes.air_ambulance && routes.ambulance_station &&
+            ResponseIntervals.compose('air_ambulance', facilities.air_ambulance, routes.air_ambulance).total >=
+            ResponseIntervals.compose('ambulance_station', facilities.ambulance_station, routes.ambulance_station).total) {
+            delete facilities.air_ambulance;
+            delete routes.air_ambulance;
+            delete alternatives.air_ambulance;
+        }
+
+        const chain = this.buildEmsChain(lat, lon, facilities, routes);
+        return { facilities, routes, alternatives, chain };
+    },
+
+    /**
+     * Chain the ambulance's response and the transport: station → patient → hospital.
+     * Both legs are already timed for the ambulance (hospital routes use its
+     * lights-and-sirens profile); time on scene is added by ResponseIntervals.
+     * @param {number} lat - Patient latitude
+     * @param {number} lon - Patient longitude
+     * @param {object} facilities - Selected facilities keyed by type
+     * @param {object} routes - Routes keyed by type
+     * @returns {object|null} { station, hospital, response, transport, distance (km),
+     *     duration (min of driving), geometry (station → patient → hospital) }, or null
+     *     without both an ambulance station and a hospital
+     */
+    buildEmsChain(lat, lon, facilities, routes) {
+        const response = routes.ambulance_station;
+        const transport = routes.hospital;
+        if (!response || !transport) {
+            return null;
+        }
+
+        return {
+            station: facilities.ambulance_station,
+            hospital: facilities.hospital,
+            response: response,
+            transport: transport,
+            distance: response.distance + transport.distance,
+            duration: response.duration + transport.duration,
+            geometry: {
+                type: 'LineString',
+                coordinates: [
+                    ...this.orientFrom(response.geometry.coordinates, lat, lon).reverse(),
+                    ...this.orientFrom(transport.geometry.coordinates, lat, lon)
+                ]
+            }
+        };
+    },
+
+    /**
+     * Copy route coordinates so they start at the end nearest a point
+     * (road routes run from the patient, water-access routes towards them)
+     */
+    orientFrom(coordinates, lat, lon) {
+        const copy = coordinates.slice();
+        const first = copy[0];
+        const last = copy[copy.length - 1];
+        const distance = ([pointLon, pointLat]) => FacilitiesManager.calculateDistance(lat, lon, pointLat, pointLon);
+        return distance(last) < distance(first) ? copy.reverse() : copy;
+    },
+
+    /**
+     * Minutes from leaving the facility to reaching the patient: the drive plus the
+     * walk in from the road, or the drive, crossing and walk from the landing
+     */
+    getArrivalMinutes(route) {
+        return route.duration + (route.lastMile ? route.lastMile.duration : 0);
+    },
 
-        await Promise.all(promises);
-        return routes;
+    /**
+     * Check whether a pin is off the road network and can be reached from a boat launch.
+     * Routing engines snap the pin to the nearest road, so a route that starts
+     * further than WaterAccess.maxRoadDistance away means the pin is off the road.
+     * That alone also matches long driveways and trails, so the pin also has to be
+     * cut off by water: the road from the launch to where the pin snapped is at
+     * least WaterAccess.minRoadDetour times the straight line from the launch to the pin.
+     * @param {number} lat - Patient latitude
+     * @param {number} lon - Patient longitude
+     * @param {object} [request] - { signal }
+     * @returns {Promise<object|null>} Crossing from WaterAccess.planCrossing, or null for road access
+     */
+    async findWaterAccess(lat, lon, request = {}) {
+        const launch = WaterAccess.findNearestLaunch(lat, lon);
+        if (!launch || this.offline) {
+            return null;
+        }
+
+        // Straight-line estimates start at the pin itself, so they never trigger a crossing
+        const route = await this.calculateRoute(lat, lon, launch.lat, launch.lon, request);
+        if (route.estimated || this.getSnapDistance(route, lat, lon) <= WaterAccess.maxRoadDistance) {
+            return null;
+        }
+
+        const straight = FacilitiesManager.calculateDistance(lat, lon, launch.lat, launch.lon);
+        if (route.distance < straight * WaterAccess.minRoadDetour) {
+            return null;
+        }
+        return WaterAccess.planCrossing(launch, lat, lon);
+    },
+
+    /**
+     * Find where the routing engine snapped the start of a route to the road network:
+     * the reported waypoint (OSRM), otherwise the first point of the route
+     * @param {object} route - Route from calculateRoute
+     * @param {number} lat - Requested start latitude
+     * @param {number} lon - Requested start longitude
+     * @returns {object|null} { lat, lon, distance (m from the requested point) }
+     */
+    getSnapPoint(route, lat, lon) {
+        if (route.waypoints && route.waypoints[0]) {
+            return route.waypoints[0];
+        }
+        const start = route.geometry && route.geometry.coordinates[0];
+        if (!start) {
+            return null;
+        }
+        return {
+            lat: start[1],
+            lon: start[0],
+            distance: FacilitiesManager.calculateDistance(lat, lon, start[1], start[0]) * 1000
+        };
+    },
+
+    /**
+     * Metres between a point and where the route starting there meets the road
+     */
+    getSnapDistance(route, lat, lon) {
+        const snap = this.getSnapPoint(route, lat, lon);
+        return snap ? snap.distance : 0;
+    },
+
+    /**
+     * Add the walk from where the route meets the road to the pin, so long
+     * driveways, trails and large properties are not counted as zero time.
+     * The walk is a separate response interval (see ResponseIntervals.compose);
+     * the route's duration stays the drive.
+     * @param {object} route - Route from the patient to the facility
+     * @param {number} lat - Patient latitude
+     * @param {number} lon - Patient longitude
+     * @returns {object} The route, with lastMile { distance (km), duration (min), geometry }
+     *     when the pin is at least lastMileMinDistance from the road
+     */
+    withLastMile(route, lat, lon) {
+        const snap = this.getSnapPoint(route, lat, lon);
+        if (route.estimated || !snap || snap.distance < this.lastMileMinDistance) {
+            return route;
+        }
+
+        return {
+            ...route,
+            lastMile: {
+                distance: snap.distance / 1000,
+                duration: snap.distance / this.lastMileSpeed / 60,
+                geometry: {
+                    type: 'LineString',
+                    coordinates: [[snap.lon, snap.lat], [lon, lat]]
+                }
+            }
+        };
+    },
+
+    /**
+     * Extend a route to the launch with the boat crossing and the walk to the patient
+     * @param {object} route - Route from the launch to the facility
+     * @param {object} crossing - Crossing from WaterAccess.planCrossing
+     * @returns {object} Multimodal route: totals over all stages, mode 'water', the launch, and
+     *     stages [{ mode ('drive', 'boat' or 'walking'), distance (km), duration (min), geometry }]
+     */
+    withWaterCrossing(route, crossing) {
+        const drive = {
+            mode: 'drive',
+            distance: route.distance,
+            duration: route.duration,
+            geometry: route.geometry,
+            estimated: !!route.estimated
+        };
+
+        return {
+            ...this.addCrossing(route, crossing),
+            // Facility to patient: the drive is routed from the launch, so reverse it
+            geometry: {
+                type: 'LineString',
+                coordinates: [
+                    ...route.geometry.coordinates.slice().reverse(),
+                    ...crossing.boat.geometry.coordinates.slice(1),
+                    ...crossing.walk.geometry.coordinates.slice(1)
+                ]
+            },
+            mode: 'water',
+            launch: crossing.launch,
+            crossing: crossing,
+            stages: [drive, crossing.boat, crossing.walk]
+        };
+    },
+
+    /**
+     * Add the crossing distance and time to a route or alternative that ends at the launch
+     */
+    addCrossing(route, crossing) {
+        const timed = {
+            ...route,
+            distance: route.distance + crossing.distance,
+            duration: route.duration + crossing.duration
+        };
+        if (typeof route.civilianDuration === 'number') {
+            timed.civilianDuration = route.civilianDuration + crossing.duration;
+        }
+        return timed;
     }
 };
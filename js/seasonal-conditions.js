@@ -0,0 +1,154 @@
+/**
+ * Seasonal Conditions Module
+ * Winter road speeds, snow penalties and seasonal road closures applied to
+ * travel times (see RoutingService.adjustTravelTimeForCottageRoads)
+ *
+ * Configured through AppConfig.seasons:
+ *   winterMonths       - months (0 = January) treated as winter when the season follows the date
+ *   winterSpeedFactors - speed multipliers in winter, by RoadAttributes category ('road' for ordinary roads)
+ *   snowPenalties      - travel time multipliers by snow condition
+ */
+
+const SeasonalConditions = {
+    mode: 'auto', // 'auto' (from the assessment date), 'summer' or 'winter'
+    season: 'summer', // Season in effect
+    snow: 'none', // Snow condition id
+    winterMonths: [11, 0, 1, 2], // December to March
+
+    winterSpeedFactors: {
+        road: 0.9, // Ploughed paved roads
+        unpaved: 0.75,
+        track: 0.6,
+        private: 0.7, // Laneways are ploughed last, if at all
+        service: 0.8,
+        seasonal: 0.7
+    },
+
+    snowConditions: [
+        { id: 'none', label: 'No snow', penalty: 1.0 },
+        { id: 'light', label: 'Light snow', penalty: 1.15 },
+        { id: 'heavy', label: 'Heavy snow / storm', penalty: 1.4 }
+    ],
+
+    // OSM seasonal=* values meaning the road is closed in the given season
+    closedValues: {
+        winter: ['yes', 'summer', 'dry_season'],
+        summer: ['winter'] // Winter (ice) roads
+    },
+
+    /**
+     * Apply settings from AppConfig.seasons
+     * @param {object} config - { winterMonths, winterSpeedFactors, snowPenalties: { id: multiplier } }
+     */
+    configure({ winterMonths, winterSpeedFactors = {}, snowPenalties = {} } = {}) {
+        if (Array.isArray(winterMonths)) {
+            this.winterMonths = winterMonths;
+        }
+        Object.assign(this.winterSpeedFactors, winterSpeedFactors);
+        this.snowConditions.forEach(condition => {
+            if (typeof snowPenalties[condition.id] === 'number') {
+                condition.penalty = snowPenalties[condition.id];
+            }
+        });
+    },
+
+    /**
+     * Get the current settings and state (passed to the coverage worker)
+     * @returns {object} configure() settings plus { mode, season, snow }
+     */
+    getConfig() {
+        const snowPenalties = {};
+        this.snowConditions.forEach(condition => {
+            snowPenalties[condition.id] = condition.penalty;
+        });
+        return {
+            winterMonths: this.winterMonths,
+            winterSpeedFactors: { ...this.winterSpeedFactors },
+            snowPenalties: snowPenalties,
+            mode: this.mode,
+            season: this.season,
+            snow: this.snow
+        };
+    },
+
+    /**
+     * Choose the season and snow condition
+     * @param {object} options - { mode ('auto', 'summer' or 'winter'), snow, date }
+     */
+    set({ mode = this.mode, snow = this.snow, date = new Date() } = {}) {
+        this.mode = ['auto', 'summer', 'winter'].includes(mode) ? mode : 'auto';
+        this.snow = this.snowConditions.some(condition => condition.id === snow) ? snow : 'none';
+        this.season = this.mode === 'auto'
+            ? (this.winterMonths.includes(date.getMonth()) ? 'winter' : 'summer')
+            : this.mode;
+    },
+
+    isWinter() {
+        return this.season === 'winter';
+    },
+
+    getSnowCondition() {
+        return this.snowConditions.find(condition => condition.id === this.snow) || this.snowConditions[0];
+    },
+
+    /**
+     * Travel time multiplier for the season and snow on a road
+     * @param {string|null} category - RoadAttributes category id, or null for an ordinary road
+     * @returns {number} Multiplier (1 in summer without snow)
+     */
+    getTimeFactor(category = null) {
+        let factor = this.getSnowCondition().penalty;
+        if (this.isWinter()) {
+            const speedFactor = this.winterSpeedFactors[category] || this.winterSpeedFactors.road;
+            factor /= speedFactor;
+        }
+        return factor;
+    },
+
+    /**
+     * Whether a road's seasonal tag closes it in the current season
+     * @param {object} attributes - OSM tags from RoadAttributes.getStepAttributes
+     * @returns {boolean} True if closed
+     */
+    isClosed(attributes) {
+        return !!attributes.seasonal && this.closedValues[this.season].includes(attributes.seasonal);
+    },
+
+    /**
+     * List the assumptions in effect, for the results and the report
+     * @returns {Array<string>} Sentences
+     */
+    describe() {
+        const monthName = month => new Date(2000, month, 1).toLocaleString('en', { month: 'long' });
+        const months = this.winterMonths.length > 0
+            ? `${monthName(this.winterMonths[0])} to ${monthName(this.winterMonths[this.winterMonths.length - 1])}`
+            : 'no months';
+        const assumptions = [];
+
+        if (this.isWinter()) {
+            const percent = value => `${Math.round(value * 100)}%`;
+            const speeds = Object.keys(this.winterSpeedFactors)
+                .filter(id => id !== 'road')
+                .map(id => {
+                    const category = RoadAttributes.categories.find(c => c.id === id);
+                    return `${category ? category.label.toLowerCase() : id} ${percent(this.winterSpeedFactors[id])}`;
+                })
+                .join(', ');
+            assumptions.push(this.mode === 'auto'
+                ? `Winter, from the assessment date (${months})`
+                : 'Winter, selected manually');
+            assumptions.push(`Winter speeds: ordinary roads ${percent(this.winterSpeedFactors.road)} of normal, ${speeds}`);
+            assumptions.push('Roads tagged as closed in winter are avoided where another station can be reached');
+        } else {
+            assumptions.push(this.mode === 'auto'
+                ? `Summer, from the assessment date (winter is ${months})`
+                : 'Summer, selected manually');
+        }
+
+        const snow = this.getSnowCondition();
+        if (snow.penalty !== 1) {
+            assumptions.push(`${snow.label}: travel times ×${snow.penalty}`);
+        }
+        return assumptions;
+    }
+};
@@ -0,0 +1,178 @@
+/**
+ * Spatial Index
+ * k-d tree over points on the unit sphere for nearest-neighbour and
+ * within-radius facility queries
+ *
+ * Points are stored as 3D unit vectors, where straight-line (chord) distance
+ * increases monotonically with great-circle distance. This keeps queries exact
+ * near the poles and across the antimeridian without any projection.
+ */
+
+const SpatialIndex = {
+    earthRadius: 6371, // km
+
+    /**
+     * Build an index over GeoJSON point features
+     * @param {Array} features - GeoJSON Point features
+     * @returns {object} Index for use with nearest() and withinRadius()
+     */
+    build(features) {
+        const nodes = features.map(feature => {
+            const [lon, lat] = feature.geometry.coordinates;
+            return { feature, lat, lon, point: this.toVector(lat, lon) };
+        });
+        return {
+            root: this.buildNode(nodes, 0),
+            size: nodes.length
+        };
+    },
+
+    /**
+     * Recursively split nodes on the median of the current axis
+     * @param {Array} nodes - Nodes to place in this subtree
+     * @param {number} depth - Tree depth (selects the split axis)
+     * @returns {object|null} Subtree root
+     */
+    buildNode(nodes, depth) {
+        if (nodes.length === 0) {
+            return null;
+        }
+
+        const axis = depth % 3;
+        nodes.sort((a, b) => a.point[axis] - b.point[axis]);
+        const median = Math.floor(nodes.length / 2);
+
+        return {
+            ...nodes[median],
+            axis: axis,
+            left: this.buildNode(nodes.slice(0, median), depth + 1),
+            right: this.buildNode(nodes.slice(median + 1), depth + 1)
+        };
+    },
+
+    /**
+     * Find the k nearest features to a location
+     * @param {object} index - Index from build()
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @param {number} k - Maximum number of results
+     * @param {Function} [filter] - Optional predicate a feature must pass
+     * @returns {Array} { feature, lat, lon, distance (km) }, nearest first
+     */
+    nearest(index, lat, lon, k, filter = null) {
+        const target = this.toVector(lat, lon);
+        const best = []; // Sorted by chord distance, at most k entries
+
+        const visit = node => {
+            if (!node) {
+                return;
+            }
+
+            const chord = this.chordDistance(target, node.point);
+            if ((best.length < k || chord < best[best.length - 1].chord) &&
+                (!filter || filter(node.feature))) {
+                const position = best.findIndex(entry => entry.chord > chord);
+                best.splice(position === -1 ? best.length : position, 0, { node, chord });
+                if (best.length > k) {
+                    best.pop();
+                }
+            }
+
+            const diff = target[node.axis] - node.point[node.axis];
+            const [near, far] = diff < 0 ? [node.left, node.right] : [node.right, node.left];
+            visit(near);
+            // Only cross the split plane if it is closer than the current kth result
+            if (best.length < k || Math.abs(diff) < best[best.length - 1].chord) {
+                visit(far);
+            }
+        };
+
+        if (k > 0) {
+            visit(index.root);
+        }
+        return best.map(({ node, chord }) => this.toResult(node, chord));
+    },
+
+    /**
+     * Find all features within a radius of a location
+     * @param {object} index - Index from build()
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @param {number} radiusKm - Search radius in kilometers
+     * @param {Function} [filter] - Optional predicate a feature must pass
+     * @returns {Array} { feature, lat, lon, distance (km) }, nearest first
+     */
+    withinRadius(index, lat, lon, radiusKm, filter = null) {
+        const target = this.toVector(lat, lon);
+        const maxChord = this.kmToChord(radiusKm);
+        const found = [];
+
+        const visit = node => {
+            if (!node) {
+                return;
+            }
+
+            const chord = this.chordDistance(target, node.point);
+            if (chord <= maxChord && (!filter || filter(node.feature))) {
+                found.push({ node, chord });
+            }
+
+            const diff = target[node.axis] - node.point[node.axis];
+            if (diff - maxChord <= 0) {
+                visit(node.left);
+            }
+            if (diff + maxChord >= 0) {
+                visit(node.right);
+            }
+        };
+
+        visit(index.root);
+        return found
+            .sort((a, b) => a.chord - b.chord)
+            .map(({ node, chord }) => this.toResult(node, chord));
+    },
+
+    /**
+     * Convert latitude/longitude to a unit vector
+     */
+    toVector(lat, lon) {
+        const phi = lat * (Math.PI / 180);
+        const lambda = lon * (Math.PI / 180);
+        return [
+            Math.cos(phi) * Math.cos(lambda),
+            Math.cos(phi) * Math.sin(lambda),
+            Math.sin(phi)
+        ];
+    },
+
+    chordDistance(a, b) {
+        const dx = a[0] - b[0];
+        const dy = a[1] - b[1];
+        const dz = a[2] - b[2];
+        return Math.sqrt(dx * dx + dy * dy + dz * dz);
+    },
+
+    /**
+     * Convert a great-circle distance to the equivalent chord length on the unit sphere
+     */
+    kmToChord(km) {
+        const angle = Math.min(km / this.earthRadius, Math.PI);
+        return 2 * Math.sin(angle / 2);
+    },
+
+    /**
+     * Convert a chord length on the unit sphere to great-circle distance
+     */
+    chordToKm(chord) {
+        return 2 * this.earthRadius * Math.asin(Math.min(1, chord / 2));
+    },
+
+    toResult(node, chord) {
+        return {
+            feature: node.feature,
+            lat: node.lat,
+            lon: node.lon,
+            distance: this.chordToKm(chord)
+        };
+    }
+};
@@ -0,0 +1,106 @@
+/**
+ * Survival Model Registry
+ * Published and simplified models relating resuscitation intervals to survival
+ *
+ * Every model receives the same inputs (all in minutes from collapse):
+ *   cprMinutes   - collapse to start of CPR
+ *   defibMinutes - collapse to first defibrillation
+ *   aclsMinutes  - collapse to arrival of advanced life support (paramedics)
+ * and returns a survival probability as a percentage.
+ */
+
+const SurvivalModels = {
+    models: {},
+    defaultModel: 'linear',
+
+    /**
+     * Register a survival model
+     * @param {object} model - Model definition with id, name, inputs, parameters, citation and calculate()
+     */
+    register(model) {
+        if (!model.id || typeof model.calculate !== 'function') {
+            throw new Error('Survival model requires an id and a calculate function');
+        }
+        this.models[model.id] = model;
+    },
+
+    /**
+     * Get a model by id, falling back to the default model
+     * @param {string} id - Model id
+     * @returns {object} Model definition
+     */
+    get(id) {
+        return this.models[id] || this.models[this.defaultModel];
+    },
+
+    /**
+     * List all registered models
+     * @returns {Array} Model definitions in registration order
+     */
+    list() {
+        return Object.values(this.models);
+    }
+};
+
+SurvivalModels.register({
+    id: 'linear',
+    name: 'Linear decline (simplified)',
+    formula: 'Max(5%, 80% − 10%/min before CPR − 5%/min with CPR, until defibrillation)',
+    inputs: ['cprMinutes', 'defibMinutes'],
+    parameters: {
+        baselineSurvival: 80, // 80% with immediate AED access
+        minSurvival: 5, // Minimum 5% survival rate
+        declineRate: 10, // 10% decline per minute
+        cprDeclineRate: 5 // Decline roughly halves while CPR is in progress
+    },
+    citation: 'Simplified from American Heart Association and Resuscitation Council UK guidance (~10% decline per minute without defibrillation)',
+
+    calculate({ cprMinutes, defibMinutes }, p) {
+        const minutesWithoutCpr = Math.min(cprMinutes, defibMinutes);
+        const minutesWithCpr = defibMinutes - minutesWithoutCpr;
+        const survival = p.baselineSurvival -
+            (minutesWithoutCpr * p.declineRate) -
+            (minutesWithCpr * p.cprDeclineRate);
+        return Math.max(p.minSurvival, survival);
+    }
+});
+
+SurvivalModels.register({
+    id: 'valenzuela',
+    name: 'Valenzuela logistic model (1997)',
+    formula: '1 / (1 + e^(−0.260 + 0.106 × CPR interval + 0.139 × defib interval))',
+    inputs: ['cprMinutes', 'defibMinutes'],
+    parameters: {
+        intercept: 0.260,
+        cprCoefficient: 0.106,
+        defibCoefficient: 0.139
+    },
+    citation: 'Valenzuela TD, Roe DJ, Cretin S, Spaite DW, Larsen MP. Estimating effectiveness of cardiac arrest interventions: a logistic regression survival model. Circulation. 1997;96(10):3308-3313.',
+
+    calculate({ cprMinutes, defibMinutes }, p) {
+        const exponent = -p.intercept + (p.cprCoefficient * cprMinutes) + (p.defibCoefficient * defibMinutes);
+        return 100 / (1 + Math.exp(exponent));
+    }
+});
+
+SurvivalModels.register({
+    id: 'larsen',
+    name: 'Larsen regression model (1993)',
+    formula: 'Max(0%, 67% − 2.3%/min to CPR − 1.1%/min to defib − 2.1%/min to ACLS)',
+    inputs: ['cprMinutes', 'defibMinutes', 'aclsMinutes'],
+    parameters: {
+        intercept: 67,
+        cprRate: 2.3,
+        defibRate: 1.1,
+        aclsRate: 2.1
+    },
+    citation: 'Larsen MP, Eisenberg MS, Cummins RO, Hallstrom AP. Predicting survival from out-of-hospital cardiac arrest: a graphic model. Ann Emerg Med. 1993;22(11):1652-1658.',
+
+    calculate({ cprMinutes, defibMinutes, aclsMinutes }, p) {
+        const survival = p.intercept -
+            (p.cprRate * cprMinutes) -
+            (p.defibRate * defibMinutes) -
+            (p.aclsRate * aclsMinutes);
+        return Math.max(0, survival);
+    }
+});
@@ -4,29 +4,116 @@
  */
 
 const SurvivalCalculator = {
-    baselineSurvival: 80, // 80% with immediate AED access
-    minSurvival: 5, // Minimum 5% survival rate
-    declineRate: 10, // 10% decline per minute
+    // Selected model from SurvivalModels
+    modelId: SurvivalModels.defaultModel,
+
+    // CPR scenarios; cprStart is the minute after collapse when CPR begins
+    cprScenarios: {
+        none: { label: 'No CPR', cprStart: null },
+        bystander: { label: 'Bystander CPR', cprStart: 0 },
+        dispatcher: { label: 'Dispatcher-assisted CPR', cprStart: 2 }
+    },
+
+    // Selected scenario
+    scenario: { type: 'none', cprStart: null },
+
+    // Responders that arrive with a defibrillator
+    defibrillatorTypes: ['aed', 'drone_aed', 'fire_station', 'ambulance_station', 'air_ambulance'],
+
+    /**
+     * Select the CPR scenario used for survival calculations
+     * @param {string} type - Scenario key ('none', 'bystander', 'dispatcher')
+     * @param {number} [cprStart] - Minute CPR starts (dispatcher-assisted only)
+     */
+    setScenario(type, cprStart) {
+        const preset = this.cprScenarios[type] || this.cprScenarios.none;
+        const start = type === 'dispatcher' && Number.isFinite(cprStart)
+            ? Math.max(0, cprStart)
+            : preset.cprStart;
+        this.scenario = { type: this.cprScenarios[type] ? type : 'none', cprStart: start };
+    },
+
+    /**
+     * Select the survival model used for calculations
+     * @param {string} id - Model id registered with SurvivalModels
+     */
+    setModel(id) {
+        this.modelId = SurvivalModels.get(id).id;
+    },
+
+    /**
+     * Get the selected survival model
+     * @returns {object} Model definition
+     */
+    getModel() {
+        return SurvivalModels.get(this.modelId);
+    },
+
+    /**
+     * Survival with immediate CPR and defibrillation under the selected model
+     * @returns {number} Survival rate as percentage
+     */
+    getBaselineSurvival() {
+        return this.getModel().calculate(
+            { cprMinutes: 0, defibMinutes: 0, aclsMinutes: 0 },
+            this.getModel().parameters
+        );
+    },
+
+    /**
+     * Get the scenario to compare against in the chart: no CPR when a CPR
+     * scenario is selected, otherwise bystander CPR from collapse
+     * @returns {object} Scenario with type and cprStart
+     */
+    getComparisonScenario() {
+        if (this.scenario.type === 'none') {
+            return { type: 'bystander', cprStart: this.cprScenarios.bystander.cprStart };
+        }
+        return { type: 'none', cprStart: null };
+    },
 
     /**
-     * Calculate survival rate based on response time
+     * Build model inputs for a responder arriving with a defibrillator.
+     * Without CPR, the responder starts CPR on arrival; paramedics (ACLS)
+     * arrive no earlier than the defibrillator.
      * @param {number} minutes - Response time in minutes
+     * @param {object} scenario - CPR scenario
+     * @param {number} [aclsMinutes] - Time until paramedics arrive, if known
+     * @returns {object} Model inputs in minutes from collapse
+     */
+    buildModelInputs(minutes, scenario, aclsMinutes) {
+        const cprStart = scenario.cprStart === null ? Infinity : scenario.cprStart;
+        return {
+            cprMinutes: Math.min(minutes, cprStart),
+            defibMinutes: minutes,
+            aclsMinutes: Math.max(minutes, aclsMinutes === undefined ? minutes : aclsMinutes)
+        };
+    },
+
+    /**
+     * Calculate survival rate based on response time using the selected model
+     * @param {number} minutes - Response time in minutes
+     * @param {object} [scenario] - CPR scenario (defaults to the selected one)
+     * @param {number} [aclsMinutes] - Time until paramedics arrive, if known
      * @returns {number} Survival rate as percentage
      */
-    calculateSurvivalRate(minutes) {
-        const survival = this.baselineSurvival - (minutes * this.declineRate);
-        return Math.max(this.minSurvival, survival);
+    calculateSurvivalRate(minutes, scenario = this.scenario, aclsMinutes) {
+        const model = this.getModel();
+        return model.calculate(this.buildModelInputs(minutes, scenario, aclsMinutes), model.parameters);
     },
 
     /**
      * Calculate survival reduction from baseline
      * @param {number} minutes - Response time in minutes
+     * @param {object} [scenario] - CPR scenario (defaults to the selected one)
+     * @param {number} [aclsMinutes] - Time until paramedics arrive, if known
      * @returns {object} Survival rate and reduction
      */
-    calculateSurvivalReduction(minutes) {
-        const survivalRate = this.calculateSurvivalRate(minutes);
-        const reduction = this.baselineSurvival - survivalRate;
-        const reductionPercent = (reduction / this.baselineSurvival) * 100;
+    calculateSurvivalReduction(minutes, scenario = this.scenario, aclsMinutes) {
+        const survivalRate = this.calculateSurvivalRate(minutes, scenario, aclsMinutes);
+        const baselineSurvival = this.getBaselineSurvival();
+        const reduction = baselineSurvival - survivalRate;
+        const reductionPercent = (reduction / baselineSurvival) * 100;
 
         return {
             survivalRate: survivalRate,
@@ -37,24 +124,49 @@ const SurvivalCalculator = {
     },
 
     /**
-     * Calculate survival statistics for all facilities
+     * Calculate survival statistics for all facilities.
+     * Survival is based on the total response time (call processing,
+     * dispatch, turnout, travel and patient access), not the drive alone.
      * @param {object} routes - Routes to each facility type
+     * @param {object} [facilities] - Nearest facilities (for interval profiles)
      * @returns {object} Survival statistics for each facility
      */
-    calculateAllSurvivalStats(routes) {
+    calculateAllSurvivalStats(routes, facilities = {}) {
         const stats = {};
+        const timelines = {};
+
+        Object.keys(routes).forEach(key => {
+            timelines[key] = ResponseIntervals.compose(key, facilities[key], routes[key]);
+        });
+
+        // Patients reach hospital by ambulance: its response, time on scene, then transport
+        if (timelines.ambulance_station && routes.hospital) {
+            timelines.hospital = ResponseIntervals.composeTransport(timelines.ambulance_station, routes.hospital);
+        }
 
         const facilityTypes = [
+            { key: 'aed', label: 'Public AED' },
+            { key: 'drone_aed', label: 'Drone AED' },
             { key: 'fire_station', label: 'Fire Station' },
             { key: 'ambulance_station', label: 'Ambulance Station' },
+            { key: 'air_ambulance', label: 'Air Ambulance' },
             { key: 'hospital', label: 'Hospital' }
         ];
 
+        // Advanced life support arrives with the first ambulance, by road or air
+        const aclsTimes = ['ambulance_station', 'air_ambulance']
+            .filter(key => timelines[key])
+            .map(key => timelines[key].total);
+        const aclsMinutes = aclsTimes.length > 0 ? Math.min(...aclsTimes) : undefined;
+
         facilityTypes.forEach(({ key, label }) => {
-            if (routes[key]) {
-                const minutes = routes[key].duration;
+            if (routes[key] && timelines[key]) {
+                const minutes = timelines[key].total;
                 stats[key] = {
-                    ...this.calculateSurvivalReduction(minutes),
+                    ...this.calculateSurvivalReduction(minutes, this.scenario, aclsMinutes),
+                    comparisonSurvivalRate: this.calculateSurvivalRate(minutes, this.getComparisonScenario(), aclsMinutes),
+                    travelMinutes: routes[key].duration,
+                    timeline: timelines[key],
                     label: label,
                     urgency: this.getUrgencyLevel(minutes)
                 };
@@ -64,6 +176,29 @@ const SurvivalCalculator = {
         return stats;
     },
 
+    /**
+     * Report the two milestones separately: time to first defibrillation (the
+     * first defibrillator at the patient's side) and time to definitive care
+     * (arrival at hospital, by ambulance when there is one)
+     * @param {object} stats - Statistics from calculateAllSurvivalStats
+     * @returns {object} { firstDefibrillation: { type, label, minutes } or null,
+     *     definitiveCare: { minutes, byAmbulance } or null }
+     */
+    getMilestones(stats) {
+        const first = this.defibrillatorTypes
+            .filter(type => stats[type])
+            .sort((a, b) => stats[a].minutes - stats[b].minutes)[0];
+
+        return {
+            firstDefibrillation: first
+                ? { type: first, label: stats[first].label, minutes: stats[first].minutes }
+                : null,
+            definitiveCare: stats.hospital
+                ? { minutes: stats.hospital.minutes, byAmbulance: stats.hospital.timeline.profile === 'ems_transport' }
+                : null
+        };
+    },
+
     /**
      * Get urgency level based on response time
      * @param {number} minutes - Response time in minutes
@@ -101,10 +236,13 @@ const SurvivalCalculator = {
                 reduction: `${stat.reduction.toFixed(1)}%`,
                 reductionPercent: `${stat.reductionPercent.toFixed(0)}%`,
                 minutes: stat.minutes.toFixed(1),
+                travelMinutes: stat.travelMinutes.toFixed(1),
+                timeline: stat.timeline,
                 urgency: stat.urgency,
                 category: this.getSurvivalCategory(stat.survivalRate),
                 label: stat.label,
-                numericSurvival: stat.survivalRate
+                numericSurvival: stat.survivalRate,
+                numericComparisonSurvival: stat.comparisonSurvivalRate
             };
         });
 
@@ -120,17 +258,20 @@ const SurvivalCalculator = {
         const comparison = [
             {
                 label: 'Baseline (Immediate AED)',
-                survivalRate: this.baselineSurvival,
+                survivalRate: this.getBaselineSurvival(),
                 minutes: 0,
                 color: '#28a745',
                 class: 'baseline'
             }
         ];
 
-        const order = ['fire_station', 'ambulance_station', 'hospital'];
+        const order = ['aed', 'drone_aed', 'fire_station', 'ambulance_station', 'air_ambulance', 'hospital'];
         const icons = {
+            aed: '⚡',
+            drone_aed: '🛩️',
             fire_station: '🚒',
             ambulance_station: '🚑',
+            air_ambulance: '🚁',
             hospital: '🏥'
         };
 
@@ -140,6 +281,7 @@ const SurvivalCalculator = {
                 comparison.push({
                     label: `${icons[key]} ${stat.label}`,
                     survivalRate: stat.numericSurvival,
+                    comparisonSurvivalRate: stat.numericComparisonSurvival,
                     minutes: parseFloat(stat.minutes),
                     reduction: stat.reduction,
                     color: this.getColorByUrgency(stat.urgency),
@@ -151,6 +293,21 @@ const SurvivalCalculator = {
         return comparison;
     },
 
+    /**
+     * Get labels for the two curves shown in the comparison chart
+     * @returns {object} Labels for the selected and comparison scenarios
+     */
+    getCurveLabels() {
+        const describe = ({ type, cprStart }) => {
+            const label = this.cprScenarios[type].label;
+            return type === 'dispatcher' ? `${label} from ${cprStart} min` : label;
+        };
+        return {
+            selected: describe(this.scenario),
+            comparison: describe(this.getComparisonScenario())
+        };
+    },
+
     /**
      * Get color based on urgency level
      * @param {string} urgency - Urgency level
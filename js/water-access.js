@@ -0,0 +1,150 @@
+/**
+ * Water Access Module
+ * Island and water-access properties: responders drive to a marina or boat
+ * launch, cross by boat and walk from the landing to the patient.
+ * RoutingService considers this when the pin is not reachable by road
+ * (see RoutingService.findWaterAccess), and uses it for each responder whose
+ * drive and crossing beat driving and walking in from the nearest road.
+ *
+ * Launch points come from data/marinas.geojson (built by fetch_marinas.sh)
+ * plus any configured through AppConfig.water:
+ *   enabled         - false to always route by road
+ *   marinas         - extra launch points [{ name, lat, lon }]
+ *   boatSpeed       - crossing speed (km/h)
+ *   launchMinutes   - time to ready and board the boat at the launch
+ *   landingMeters   - walk from the landing to the patient
+ *   maxRoadDistance - a pin farther than this (m) from the nearest routable road may need a boat
+ *   minRoadDetour   - ...and needs one when the road from the launch to where the pin snapped is
+ *                     at least this many times the straight line from the launch to the pin
+ *   maxCrossing     - longest straight-line crossing (km) considered
+ */
+
+const WaterAccess = {
+    launchesUrl: 'data/marinas.geojson',
+    enabled: true,
+    loadedLaunches: [], // From the data file
+    configuredLaunches: [], // From AppConfig.water.marinas
+
+    boatSpeed: 30, // km/h, a fire service or marine unit boat on open water
+    boatDetourFactor: 1.2, // Crossing around points and islands vs straight line
+    launchMinutes: 5,
+    landingMeters: 100,
+    maxRoadDistance: 250,
+    minRoadDetour: 2,
+    maxCrossing: 15,
+
+    /**
+     * Load marinas and boat launches
+     */
+    async loadLaunches() {
+        try {
+            const response = await fetch(this.launchesUrl);
+            if (!response.ok) {
+                throw new Error(`Failed to load ${this.launchesUrl}`);
+            }
+            const data = await response.json();
+            this.loadedLaunches = (data.features || [])
+                .filter(feature => feature.geometry && feature.geometry.type === 'Point')
+                .map(feature => ({
+                    name: feature.properties.name || 'Boat launch',
+                    lat: feature.geometry.coordinates[1],
+                    lon: feature.geometry.coordinates[0]
+                }));
+        } catch (error) {
+            // Configured launches still work without the data file
+            console.error('Error loading boat launches:', error);
+        }
+    },
+
+    /**
+     * Apply settings from AppConfig.water
+     * @param {object} config - { enabled, marinas, boatSpeed, launchMinutes, landingMeters, maxRoadDistance, minRoadDetour, maxCrossing }
+     */
+    configure({ enabled = true, marinas = [], ...settings } = {}) {
+        this.enabled = enabled;
+        this.configuredLaunches = marinas.map(marina => ({ name: marina.name || 'Boat launch', lat: marina.lat, lon: marina.lon }));
+        ['boatSpeed', 'launchMinutes', 'landingMeters', 'maxRoadDistance', 'minRoadDetour', 'maxCrossing'].forEach(key => {
+            if (typeof settings[key] === 'number') {
+                this[key] = settings[key];
+            }
+        });
+    },
+
+    getLaunches() {
+        return [...this.configuredLaunches, ...this.loadedLaunches];
+    },
+
+    /**
+     * Find the launch with the shortest crossing to a point
+     * @param {number} lat - Patient latitude
+     * @param {number} lon - Patient longitude
+     * @returns {object|null} Launch { name, lat, lon }, or null if water access is off or none is within maxCrossing
+     */
+    findNearestLaunch(lat, lon) {
+        if (!this.enabled) {
+            return null;
+        }
+
+        let nearest = null;
+        let nearestDistance = this.maxCrossing;
+        this.getLaunches().forEach(launch => {
+            const distance = FacilitiesManager.calculateDistance(lat, lon, launch.lat, launch.lon);
+            if (distance <= nearestDistance) {
+                nearest = launch;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    },
+
+    /**
+     * Plan the boat crossing and the walk from the landing
+     * @param {object} launch - Launch { name, lat, lon }
+     * @param {number} lat - Patient latitude
+     * @param {number} lon - Patient longitude
+     * @returns {object} { launch, boat, walk, distance (km), duration (min) }; boat and walk are
+     *     stages { mode, distance (km), duration (min), geometry }
+     */
+    planCrossing(launch, lat, lon) {
+        const straight = FacilitiesManager.calculateDistance(launch.lat, launch.lon, lat, lon);
+        const walkDistance = Math.min(this.landingMeters / 1000, straight);
+
+        // The landing is on the line from the launch, landingMeters short of the patient
+        const ratio = straight > 0 ? 1 - walkDistance / straight : 1;
+        const landing = [launch.lon + (lon - launch.lon) * ratio, launch.lat + (lat - launch.lat) * ratio];
+
+        const boatDistance = (straight - walkDistance) * this.boatDetourFactor;
+        const boat = {
+            mode: 'boat',
+            distance: boatDistance,
+            duration: this.launchMinutes + (boatDistance / this.boatSpeed) * 60,
+            geometry: { type: 'LineString', coordinates: [[launch.lon, launch.lat], landing] }
+        };
+        const walk = {
+            mode: 'walking',
+            distance: walkDistance,
+            duration: (walkDistance * 1000) / RoutingService.walkingSpeed / 60,
+            geometry: { type: 'LineString', coordinates: [landing, [lon, lat]] }
+        };
+
+        return {
+            launch: launch,
+            boat: boat,
+            walk: walk,
+            distance: boat.distance + walk.distance,
+            duration: boat.duration + walk.duration
+        };
+    },
+
+    /**
+     * Explain the crossing model (results notice and report)
+     * @param {object} crossing - Crossing from planCrossing
+     * @returns {string} Sentence
+     */
+    describe(crossing) {
+        return `Water access: responders drive to ${crossing.launch.name}, cross ` +
+            `${crossing.boat.distance.toFixed(1)} km by boat at ${this.boatSpeed} km/h ` +
+            `(${crossing.boat.duration.toFixed(1)} min with ${this.launchMinutes} min to launch) ` +
+            `and walk ${Math.round(crossing.walk.distance * 1000)} m from the landing`;
+    }
+};
@@ -0,0 +1,161 @@
+/**
+ * Service Worker
+ * Keeps the app usable without a connection: precaches the app shell, Leaflet
+ * and facility data, serves map tiles downloaded for offline use, and keeps
+ * recent geocoding and routing responses
+ */
+
+const SHELL_CACHE = 'aedrisk-shell-v2'; // Bump when the shell files change
+const TILE_CACHE = 'aedrisk-tiles'; // Filled by OfflineManager.downloadRegion
+const API_CACHE = 'aedrisk-api';
+const API_CACHE_LIMIT = 200; // Geocoding and routing responses kept
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'css/styles.css',
+    'js/config.js',
+    'js/spatial-index.js',
+    'js/facilities.js',
+    'js/request-manager.js',
+    'js/geocoding-providers.js',
+    'js/geocoding.js',
+    'js/routing-providers.js',
+    'js/road-attributes.js',
+    'js/seasonal-conditions.js',
+    'js/emergency-profile.js',
+    'js/water-access.js',
+    'js/hospital-destination.js',
+    'js/air-ambulance.js',
+    'js/drone-aed.js',
+    'js/routing.js',
+    'js/response-intervals.js',
+    'js/survival-models.js',
+    'js/survival.js',
+    'js/map.js',
+    'js/coverage.js',
+    'js/coverage-worker.js',
+    'js/batch.js',
+    'js/permalink.js',
+    'js/report.js',
+    'js/embed-api.js',
+    'js/offline.js',
+    'js/app.js',
+    'data/ontario-facilities.geojson',
+    'data/air-ambulance-bases.geojson',
+    'data/drone-bases.geojson',
+    'data/ontario-aeds.geojson',
+    'data/canada-fsa-centroids.json',
+    'data/road-attributes.json',
+    'data/marinas.geojson',
+    'data/fire-service-areas.geojson'
+];
+
+// Cached individually so an unreachable CDN doesn't stop installation
+const CDN_FILES = [
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js'
+];
+
+const TILE_HOST = /^https:\/\/[abc]\.tile\.openstreetmap\.org\//;
+// Geocoding and routing servers, passed by OfflineManager as ?api=host parameters
+const API_HOSTS = new URL(self.location.href).searchParams.getAll('api');
+
+self.addEventListener('install', (e) => {
+    e.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.addAll(SHELL_FILES);
+        await Promise.all(CDN_FILES.map(url =>
+            cache.add(url).catch(error => console.warn(`Could not precache ${url}:`, error))
+        ));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (e) => {
+    e.waitUntil((async () => {
+        // Drop app shells from older versions; tiles and API responses are kept
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('aedrisk-shell-') && name !== SHELL_CACHE)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (e) => {
+    const request = e.request;
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    const url = new URL(request.url);
+    if (TILE_HOST.test(request.url)) {
+        e.respondWith(cacheFirst(request, TILE_CACHE));
+    } else if (API_HOSTS.includes(url.hostname)) {
+        e.respondWith(networkFirst(request, API_CACHE));
+    } else if (url.origin === self.location.origin || CDN_FILES.includes(request.url)) {
+        e.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+    }
+});
+
+/**
+ * Serve from the cache, going to the network only on a miss (tiles are not
+ * stored here; only downloaded regions are kept)
+ */
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    return cached || fetch(request);
+}
+
+/**
+ * Serve from the network and remember the response; fall back to the last
+ * stored response when offline
+ */
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request, response.clone());
+            await trimCache(cache, API_CACHE_LIMIT);
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Serve the cached copy immediately and refresh it in the background; offline
+ * with nothing cached, answer with a network error rather than nothing
+ */
+async function staleWhileRevalidate(request, cacheName) {
+    // Shareable links differ only by query string, so pages are stored once
+    const key = request.mode === 'navigate' ? request.url.split('?')[0] : request;
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(key);
+    const refresh = fetch(request)
+        .then(response => {
+            if (response.ok) {
+                cache.put(key, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached || Response.error());
+
+    return cached || refresh;
+}
+
+/**
+ * Delete the oldest entries beyond the limit (keys are in insertion order)
+ */
+async function trimCache(cache, limit) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map(key => cache.delete(key)));
+}